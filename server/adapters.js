@@ -0,0 +1,195 @@
+import Parser from "rss-parser";
+import { extractEntities } from "./catalog.js";
+import { classify } from "./classifier.js";
+
+const FETCH_TIMEOUT_MS = 15000;
+const USER_AGENT = "watch-sys-status-bot/1.0";
+
+// Only used for parsing; fetching goes through conditionalFetch()
+const parser = new Parser();
+
+// Statuspage.io incident and maintenance states mapped onto our status vocabulary
+const STATUSPAGE_STATUS = {
+  investigating: "investigating",
+  identified: "incident",
+  monitoring: "monitoring",
+  resolved: "resolved",
+  postmortem: "resolved",
+  scheduled: "maintenance",
+  in_progress: "maintenance",
+  verifying: "maintenance",
+  completed: "resolved"
+};
+
+const STATUSPAGE_SEVERITY = {
+  critical: "critical",
+  major: "high",
+  minor: "medium",
+  none: "low",
+  maintenance: "low"
+};
+
+function mapItem(item, feed) {
+  const summary = item.contentSnippet || item.content || "";
+  const { status, severity, confidence } = classify({
+    title: item.title,
+    summary,
+    provider: feed.provider
+  });
+  const { services, regions } = extractEntities({
+    provider: feed.provider,
+    title: item.title,
+    summary,
+    link: item.link || item.guid
+  });
+
+  return {
+    id: item.guid || item.link || `${feed.id}-${item.pubDate || item.isoDate || item.title}`,
+    provider: feed.provider,
+    source: feed.name,
+    title: item.title || "Untitled incident",
+    summary,
+    status,
+    severity,
+    confidence,
+    link: item.link,
+    publishedAt: item.isoDate || item.pubDate || null,
+    // RSS posts one item per update, so a resolved item was resolved when posted
+    resolvedAt: status === "resolved" ? item.isoDate || item.pubDate || null : null,
+    components: [],
+    services,
+    regions,
+    updates: []
+  };
+}
+
+function mapStatuspageIncident(incident, feed, pageUrl) {
+  const updates = (incident.incident_updates || [])
+    .map((update) => ({
+      status: STATUSPAGE_STATUS[update.status] || "info",
+      body: update.body || "",
+      createdAt: update.display_at || update.created_at || null
+    }))
+    .sort((a, b) => Date.parse(b.createdAt || 0) - Date.parse(a.createdAt || 0));
+  const components = (incident.components || []).map((component) => component.name);
+  const { services, regions } = extractEntities({
+    provider: feed.provider,
+    title: incident.name,
+    summary: updates.map((update) => update.body).join("\n"),
+    components
+  });
+
+  return {
+    id: `${feed.id}:${incident.id}`,
+    provider: feed.provider,
+    source: feed.name,
+    title: incident.name || "Untitled incident",
+    summary: updates[0]?.body || "",
+    status: STATUSPAGE_STATUS[incident.status] || "info",
+    severity: STATUSPAGE_SEVERITY[incident.impact] || "low",
+    // Taken from the provider's own fields, nothing inferred
+    confidence: 1,
+    link: incident.shortlink || (pageUrl ? `${pageUrl}/incidents/${incident.id}` : null),
+    publishedAt: incident.started_at || incident.created_at || null,
+    resolvedAt: incident.resolved_at || null,
+    components,
+    services,
+    regions,
+    updates
+  };
+}
+
+// Accepts either the status page root or a direct link to one of its JSON endpoints
+function resolveStatuspageUrl(url) {
+  if (/\.json(\?|$)/.test(url)) return url;
+  return `${url.replace(/\/+$/, "")}/api/v2/incidents.json`;
+}
+
+// Sends the validators from the previous response so unchanged feeds come back
+// as a bodiless 304 instead of a full download.
+async function conditionalFetch(url, { etag, lastModified } = {}, accept) {
+  const headers = {
+    "User-Agent": USER_AGENT,
+    Accept: accept
+  };
+  if (etag) headers["If-None-Match"] = etag;
+  if (lastModified) headers["If-Modified-Since"] = lastModified;
+
+  let response;
+  try {
+    response = await fetch(url, {
+      headers,
+      signal: AbortSignal.timeout(FETCH_TIMEOUT_MS)
+    });
+  } catch (error) {
+    // fetch() only says "fetch failed"; the useful part is in the cause
+    throw new Error(error.cause?.message || error.message);
+  }
+
+  if (response.status !== 304 && !response.ok) {
+    throw new Error(`Status code ${response.status}`);
+  }
+
+  return {
+    response,
+    notModified: response.status === 304,
+    etag: response.headers.get("etag") || etag || null,
+    lastModified: response.headers.get("last-modified") || lastModified || null
+  };
+}
+
+async function fetchXmlFeed(feed, conditions) {
+  const { response, ...meta } = await conditionalFetch(
+    feed.url,
+    conditions,
+    "application/rss+xml, application/atom+xml, application/xml;q=0.9, */*;q=0.8"
+  );
+  if (meta.notModified) return meta;
+
+  const parsed = await parser.parseString(await response.text());
+  return {
+    ...meta,
+    items: (parsed.items || []).map((item) => mapItem(item, feed))
+  };
+}
+
+// Works with both incidents.json and summary.json; the latter only lists
+// unresolved incidents but also carries scheduled maintenances.
+async function fetchStatuspageFeed(feed, conditions) {
+  const { response, ...meta } = await conditionalFetch(
+    resolveStatuspageUrl(feed.url),
+    conditions,
+    "application/json"
+  );
+  if (meta.notModified) return meta;
+
+  const body = await response.json();
+  const pageUrl = body.page?.url?.replace(/\/+$/, "") || null;
+  const incidents = [
+    ...(body.incidents || []),
+    ...(body.scheduled_maintenances || [])
+  ];
+
+  return {
+    ...meta,
+    items: incidents.map((incident) => mapStatuspageIncident(incident, feed, pageUrl))
+  };
+}
+
+const ADAPTERS = {
+  rss: fetchXmlFeed,
+  atom: fetchXmlFeed,
+  "statuspage-json": fetchStatuspageFeed
+};
+
+export const FEED_TYPES = Object.keys(ADAPTERS);
+
+// Resolves to { items, etag, lastModified, notModified }. When notModified is
+// true there are no items and the caller should keep the previous ones.
+export async function fetchFeed(feed, conditions = {}) {
+  const adapter = ADAPTERS[feed.type || "rss"];
+  if (!adapter) {
+    throw new Error(`Unsupported feed type "${feed.type}"`);
+  }
+  return adapter(feed, conditions);
+}
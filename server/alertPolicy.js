@@ -0,0 +1,394 @@
+import fs from "fs";
+import path from "path";
+import process from "node:process";
+import { fileURLToPath } from "url";
+import { isSeverity, SEVERITIES, severityRank } from "./severity.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const POLICIES_CONFIG_PATH =
+  process.env.POLICIES_CONFIG_PATH || path.join(__dirname, "config", "policies.json");
+
+// Alert policies sit between change detection and the channels. Each
+// destination (a chat channel, a routing rule or an email subscriber) gets the
+// default policy, overridden per channel and then per route:
+//   minSeverity           drop anything less severe
+//   collapseMinutes       at most one message per window; later updates wait
+//                         and go out together, one entry per incident
+//   quietHours            { start, end, timezone }: only critical alerts go
+//                         out, the rest wait until the quiet hours end
+//   escalateAfterMinutes  re-announce incidents still unresolved this long
+//   escalateOnSeverityIncrease  re-announce incidents that got more severe
+
+// Statuses that never escalate for being open too long
+const SETTLED_STATUSES = ["resolved", "maintenance", "info"];
+
+const DEFAULT_POLICY = {
+  minSeverity: null,
+  collapseMinutes: 0,
+  quietHours: null,
+  escalateAfterMinutes: null,
+  escalateOnSeverityIncrease: false
+};
+
+let policies = null;
+let policiesLoadedMtime = 0;
+
+// Without a database: destination -> { channel, route, entries }, and when
+// each destination was last sent to
+const memoryHolds = new Map();
+const memoryLastSent = new Map();
+// destination -> Set(incident id), used without a database
+const memoryEscalations = new Map();
+const seededDestinations = new Set();
+
+function parseClock(value) {
+  const match = /^([01]\d|2[0-3]):([0-5]\d)$/.exec(String(value || ""));
+  if (!match) throw new Error(`"${value}" is not a HH:MM time`);
+  return Number(match[1]) * 60 + Number(match[2]);
+}
+
+function compilePolicy(input = {}) {
+  const policy = {};
+
+  if (input.minSeverity !== undefined) {
+    if (input.minSeverity !== null && !isSeverity(input.minSeverity)) {
+      throw new Error(`minSeverity must be one of: ${SEVERITIES.join(", ")}`);
+    }
+    policy.minSeverity = input.minSeverity;
+  }
+
+  ["collapseMinutes", "escalateAfterMinutes"].forEach((field) => {
+    if (input[field] === undefined) return;
+    if (input[field] !== null && !(Number.isInteger(input[field]) && input[field] >= 0)) {
+      throw new Error(`${field} must be a whole number of minutes`);
+    }
+    policy[field] = input[field];
+  });
+
+  if (input.escalateOnSeverityIncrease !== undefined) {
+    if (typeof input.escalateOnSeverityIncrease !== "boolean") {
+      throw new Error("escalateOnSeverityIncrease must be true or false");
+    }
+    policy.escalateOnSeverityIncrease = input.escalateOnSeverityIncrease;
+  }
+
+  if (input.quietHours !== undefined) {
+    if (input.quietHours === null) {
+      policy.quietHours = null;
+    } else {
+      const timezone = input.quietHours.timezone || "UTC";
+      // Throws a RangeError for unknown time zones
+      new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+      policy.quietHours = {
+        start: parseClock(input.quietHours.start),
+        end: parseClock(input.quietHours.end),
+        timezone
+      };
+    }
+  }
+
+  return policy;
+}
+
+function compileSection(section, scope) {
+  return Object.fromEntries(
+    Object.entries(section || {}).flatMap(([name, input]) => {
+      try {
+        return [[name, compilePolicy(input)]];
+      } catch (error) {
+        console.warn(`Skipping ${scope} policy ${name} in ${POLICIES_CONFIG_PATH}: ${error.message}`);
+        return [];
+      }
+    })
+  );
+}
+
+function compilePolicies(config) {
+  return {
+    default: compileSection({ default: config.default }, "default").default || {},
+    channels: compileSection(config.channels, "channel"),
+    routes: compileSection(config.routes, "route")
+  };
+}
+
+// Re-read when the file changes, like the classification rules. A missing
+// file means the defaults: everything goes out right away.
+export function loadPolicies() {
+  try {
+    const { mtimeMs } = fs.statSync(POLICIES_CONFIG_PATH);
+    if (policies && mtimeMs === policiesLoadedMtime) return policies;
+
+    policies = compilePolicies(JSON.parse(fs.readFileSync(POLICIES_CONFIG_PATH, "utf8")));
+    policiesLoadedMtime = mtimeMs;
+  } catch (error) {
+    if (error.code !== "ENOENT") console.error(`Failed to load alert policies ${POLICIES_CONFIG_PATH}:`, error);
+    if (!policies || error.code === "ENOENT") policies = compilePolicies({});
+  }
+  return policies;
+}
+
+export function policyFor(channel, route = null) {
+  const config = loadPolicies();
+  return {
+    ...DEFAULT_POLICY,
+    ...config.default,
+    ...config.channels[channel],
+    ...(route ? config.routes[route] : {})
+  };
+}
+
+function minutesIntoDay(now, timezone) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone: timezone,
+    hour: "2-digit",
+    minute: "2-digit",
+    hourCycle: "h23"
+  }).formatToParts(new Date(now));
+  const value = (type) => Number(parts.find((part) => part.type === type)?.value || 0);
+  return value("hour") * 60 + value("minute");
+}
+
+// Quiet hours may wrap past midnight (22:00-07:00)
+export function isQuietTime(policy, now = Date.now()) {
+  if (!policy.quietHours) return false;
+  const { start, end, timezone } = policy.quietHours;
+  const minutes = minutesIntoDay(now, timezone);
+  return start <= end ? minutes >= start && minutes < end : minutes >= start || minutes < end;
+}
+
+function atLeast(policy, incident) {
+  if (!policy.minSeverity) return true;
+  return severityRank(incident.severity) <= severityRank(policy.minSeverity);
+}
+
+function formatAge(minutes) {
+  if (minutes < 60) return `${Math.round(minutes)}m`;
+  if (minutes < 48 * 60) return `${Math.floor(minutes / 60)}h ${Math.round(minutes % 60)}m`;
+  return `${(minutes / 1440).toFixed(1)}d`;
+}
+
+function openMinutes(incident, now) {
+  const started = Date.parse(incident.firstPublishedAt || incident.publishedAt || "");
+  return Number.isNaN(started) ? null : (now - started) / 60000;
+}
+
+async function insertEscalations(pool, destination, ids) {
+  const { rows } = await pool.query(
+    `INSERT INTO alert_escalations (destination, incident_id)
+     SELECT $1, id FROM unnest($2::text[]) AS t(id)
+     ON CONFLICT (destination, incident_id) DO NOTHING
+     RETURNING incident_id`,
+    [destination, ids]
+  );
+  return new Set(rows.map((row) => row.incident_id));
+}
+
+// Records incidents as escalated to `destination`, returning the ones that
+// weren't yet. Like notification state, a destination with nothing recorded
+// starts with a baseline, so turning escalation on (or restarting without a
+// database) doesn't escalate every long-running incident at once.
+// Records are kept while the incident is in `unresolvedIds`, so an incident
+// that is still open is never escalated twice.
+async function claimEscalations(pool, destination, incidents, unresolvedIds) {
+  const ids = incidents.map((incident) => incident.id);
+  if (!pool) {
+    const known = memoryEscalations.get(destination);
+    const kept = Array.from(known || []).filter((id) => unresolvedIds.includes(id));
+    memoryEscalations.set(destination, new Set([...kept, ...ids]));
+    return known ? incidents.filter((incident) => !known.has(incident.id)) : [];
+  }
+
+  if (!seededDestinations.has(destination)) {
+    const { rows } = await pool.query("SELECT 1 FROM alert_escalations WHERE destination = $1 LIMIT 1", [
+      destination
+    ]);
+    // Remembered once it can be read back, in case the seed's transaction rolls back
+    if (rows.length > 0 || ids.length === 0) seededDestinations.add(destination);
+    if (rows.length === 0) {
+      if (ids.length) await insertEscalations(pool, destination, ids);
+      return [];
+    }
+  }
+
+  await pool.query(
+    "DELETE FROM alert_escalations WHERE destination = $1 AND NOT (incident_id = ANY($2::text[]))",
+    [destination, unresolvedIds]
+  );
+  if (ids.length === 0) return [];
+  const claimed = await insertEscalations(pool, destination, ids);
+  return incidents.filter((incident) => claimed.has(incident.id));
+}
+
+// Turns what change detection found for one destination into entries,
+// applying the severity floor and working out escalations.
+// `update` has newIncidents, statusChanges, escalated (severity went up,
+// with previousSeverity) and openIncidents (everything currently in the feeds).
+async function collectEntries(pool, destination, policy, update, now) {
+  const entries = [
+    ...update.newIncidents.map((incident) => ({ kind: "new", incident })),
+    ...update.statusChanges.map((incident) => ({ kind: "change", incident }))
+  ];
+
+  if (policy.escalateOnSeverityIncrease) {
+    update.escalated.forEach((incident) => {
+      entries.push({
+        kind: "escalation",
+        incident: { ...incident, escalation: `severity raised from ${incident.previousSeverity} to ${incident.severity}` }
+      });
+    });
+  }
+
+  if (policy.escalateAfterMinutes) {
+    const unresolved = update.openIncidents.filter((incident) => !SETTLED_STATUSES.includes(incident.status));
+    const overdue = unresolved.filter((incident) => {
+      const minutes = openMinutes(incident, now);
+      return atLeast(policy, incident) && minutes !== null && minutes >= policy.escalateAfterMinutes;
+    });
+    const unresolvedIds = unresolved.map((incident) => incident.id);
+    (await claimEscalations(pool, destination, overdue, unresolvedIds)).forEach((incident) => {
+      entries.push({
+        kind: "escalation",
+        incident: { ...incident, escalation: `unresolved for ${formatAge(openMinutes(incident, now))}` }
+      });
+    });
+  }
+
+  return entries.filter((entry) => atLeast(policy, entry.incident));
+}
+
+// Several updates to one incident become one entry: a new incident stays new
+// (with its latest state), and a status change keeps its first previous
+// status so it reads "investigating → resolved" across the whole window
+const KIND_PRIORITY = { new: 0, escalation: 1, change: 2 };
+
+export function collapseEntries(entries) {
+  const byId = new Map();
+  entries.forEach((entry) => {
+    const current = byId.get(entry.incident.id);
+    if (!current) {
+      byId.set(entry.incident.id, entry);
+      return;
+    }
+    const incident = {
+      ...entry.incident,
+      previousStatus: current.incident.previousStatus || entry.incident.previousStatus,
+      escalation: entry.incident.escalation || current.incident.escalation
+    };
+    const kind = KIND_PRIORITY[entry.kind] < KIND_PRIORITY[current.kind] ? entry.kind : current.kind;
+    byId.set(entry.incident.id, { kind, incident });
+  });
+
+  const of = (kind) =>
+    Array.from(byId.values())
+      .filter((entry) => entry.kind === kind)
+      .map((entry) => entry.incident);
+  return { newIncidents: of("new"), statusChanges: of("change"), escalations: of("escalation") };
+}
+
+async function holdEntries(pool, target, entries) {
+  if (entries.length === 0) return;
+  if (!pool) {
+    const { destination, channel, route } = target;
+    const held = memoryHolds.get(destination) || { destination, channel, route, entries: [] };
+    held.entries.push(...entries);
+    memoryHolds.set(destination, held);
+    return;
+  }
+
+  await pool.query(
+    `INSERT INTO alert_holds (destination, channel, route, kind, incident)
+     SELECT $1, $2, $3, kind, incident FROM unnest($4::text[], $5::jsonb[]) AS t(kind, incident)`,
+    [
+      target.destination,
+      target.channel,
+      target.route || null,
+      entries.map((entry) => entry.kind),
+      // The correlated feed items aren't needed to render the alert
+      entries.map((entry) => JSON.stringify({ ...entry.incident, children: undefined }))
+    ]
+  );
+}
+
+// Claims the right to send to a destination now, which only succeeds once
+// per collapse window, and only for one instance
+async function claimSendSlot(pool, destination, policy, now) {
+  const windowMs = (policy.collapseMinutes || 0) * 60 * 1000;
+  if (!pool) {
+    if (now - (memoryLastSent.get(destination) ?? -Infinity) < windowMs) return false;
+    memoryLastSent.set(destination, now);
+    return true;
+  }
+
+  const { rows } = await pool.query(
+    `INSERT INTO alert_destinations (destination, last_sent_at) VALUES ($1, $2)
+     ON CONFLICT (destination) DO UPDATE SET last_sent_at = EXCLUDED.last_sent_at
+     WHERE alert_destinations.last_sent_at <= $3
+     RETURNING destination`,
+    [destination, new Date(now), new Date(now - windowMs)]
+  );
+  return rows.length > 0;
+}
+
+async function takeHeldEntries(pool, destination) {
+  if (!pool) {
+    const held = memoryHolds.get(destination);
+    memoryHolds.delete(destination);
+    return held ? held.entries : [];
+  }
+
+  const { rows } = await pool.query(
+    "DELETE FROM alert_holds WHERE destination = $1 RETURNING id, kind, incident",
+    [destination]
+  );
+  return rows.sort((a, b) => a.id - b.id).map((row) => ({ kind: row.kind, incident: row.incident }));
+}
+
+function isEmpty(update) {
+  return !update.newIncidents.length && !update.statusChanges.length && !update.escalations.length;
+}
+
+// Decides what goes to one destination now. `target` is { destination,
+// channel, route }. Returns the collapsed update to send, or null when
+// there's nothing to send yet; anything held back is stored and goes out
+// with the next message, or from releaseHeldAlerts() once it is due.
+export async function applyAlertPolicy(pool, target, update, now = Date.now()) {
+  const policy = policyFor(target.channel, target.route);
+  const entries = await collectEntries(pool, target.destination, policy, update, now);
+  if (entries.length === 0) return null;
+
+  // Critical alerts get through quiet hours
+  const quiet = isQuietTime(policy, now);
+  const urgent = quiet ? entries.filter((entry) => entry.incident.severity === "critical") : entries;
+  await holdEntries(pool, target, entries.filter((entry) => !urgent.includes(entry)));
+  if (urgent.length === 0) return null;
+
+  if (!(await claimSendSlot(pool, target.destination, policy, now))) {
+    await holdEntries(pool, target, urgent);
+    return null;
+  }
+
+  // Whatever was waiting goes along, rather than as a message of its own,
+  // unless it is waiting for the quiet hours to end
+  const held = quiet ? [] : await takeHeldEntries(pool, target.destination);
+  const collapsed = collapseEntries([...held, ...urgent]);
+  return isEmpty(collapsed) ? null : collapsed;
+}
+
+// Held alerts whose collapse window or quiet hours are over, as
+// [{ destination, channel, route, update }]
+export async function releaseHeldAlerts(pool, now = Date.now()) {
+  const targets = pool
+    ? (await pool.query("SELECT DISTINCT destination, channel, route FROM alert_holds")).rows
+    : Array.from(memoryHolds.values()).map(({ destination, channel, route }) => ({ destination, channel, route }));
+
+  const released = [];
+  for (const target of targets) {
+    const policy = policyFor(target.channel, target.route);
+    if (isQuietTime(policy, now) || !(await claimSendSlot(pool, target.destination, policy, now))) continue;
+
+    const update = collapseEntries(await takeHeldEntries(pool, target.destination));
+    if (!isEmpty(update)) released.push({ ...target, route: target.route || null, update });
+  }
+  return released;
+}
@@ -0,0 +1,103 @@
+import fs from "fs";
+import path from "path";
+import process from "node:process";
+import { fileURLToPath } from "url";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const CATALOGS_CONFIG_PATH =
+  process.env.CATALOGS_CONFIG_PATH || path.join(__dirname, "config", "catalogs.json");
+
+let catalogs = null;
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Terms must stand on their own: "eastus" must not match inside "eastus2",
+// and "East US" must not match the start of "East US 2".
+function termsPattern(terms) {
+  const alternatives = terms
+    .filter(Boolean)
+    .sort((a, b) => b.length - a.length)
+    .map((term) => escapeRegExp(term).replace(/\s+/g, "\\s+"));
+  return new RegExp(`(?<![a-z0-9])(${alternatives.join("|")})(?![a-z0-9]|\\s+\\d\\b)`, "i");
+}
+
+function compileCatalogs(config) {
+  return Object.fromEntries(
+    Object.entries(config).map(([provider, catalog]) => [
+      provider.toLowerCase(),
+      {
+        regions: (catalog.regions || []).map((region) => ({
+          code: region.code,
+          name: region.name,
+          terms: [region.code, region.name, ...(region.aliases || [])],
+          regex: termsPattern([region.code, region.name, ...(region.aliases || [])])
+        })),
+        services: (catalog.services || []).map((service) => ({
+          name: service.name,
+          terms: [service.name, ...(service.aliases || [])],
+          regex: termsPattern([service.name, ...(service.aliases || [])])
+        }))
+      }
+    ])
+  );
+}
+
+function getCatalogs() {
+  if (catalogs) return catalogs;
+  try {
+    catalogs = compileCatalogs(JSON.parse(fs.readFileSync(CATALOGS_CONFIG_PATH, "utf8")));
+  } catch (error) {
+    console.error(`Failed to load service catalogs ${CATALOGS_CONFIG_PATH}:`, error);
+    catalogs = {};
+  }
+  return catalogs;
+}
+
+// Regions are reported by code (e.g. "westeurope", "us-east-1"), services by
+// their catalog name. Statuspage components are kept as services verbatim.
+export function extractEntities({ provider = "", title = "", summary = "", link = "", components = [] }) {
+  const catalog = getCatalogs()[provider.toLowerCase()];
+  const services = new Set(components);
+  const regions = new Set();
+
+  if (catalog) {
+    const text = `${title}\n${summary}\n${link || ""}`;
+    catalog.services.forEach((service) => {
+      if (service.regex.test(text)) services.add(service.name);
+    });
+    catalog.regions.forEach((region) => {
+      if (region.regex.test(text)) regions.add(region.code);
+    });
+  }
+
+  return {
+    services: Array.from(services),
+    regions: Array.from(regions)
+  };
+}
+
+function findTerm(kind, value) {
+  const needle = String(value || "").trim().toLowerCase();
+  if (!needle) return null;
+
+  for (const catalog of Object.values(getCatalogs())) {
+    const entry = catalog[kind].find((candidate) =>
+      candidate.terms.some((term) => term.toLowerCase() === needle)
+    );
+    if (entry) return entry;
+  }
+  return null;
+}
+
+// Filter values may use any name or alias; these map them onto what
+// extractEntities() stores, falling back to the value itself.
+export function resolveRegion(value) {
+  return findTerm("regions", value)?.code || String(value || "").trim().toLowerCase();
+}
+
+export function resolveService(value) {
+  return findTerm("services", value)?.name || String(value || "").trim();
+}
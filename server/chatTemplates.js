@@ -0,0 +1,237 @@
+import { isSeverity, severityRank } from "./severity.js";
+
+// Chat messages for the Slack, Discord and Teams webhooks: one Slack
+// attachment, Discord embed or Adaptive Card container per incident, covering
+// new incidents and status changes alike. Anything past MAX_LISTED is counted
+// as "and N more" instead.
+
+// Discord takes at most 10 embeds per message, with 6000 characters between them
+const MAX_LISTED = 10;
+const MAX_TITLE_LENGTH = 200;
+const MAX_DESCRIPTION_LENGTH = 200;
+
+const SLACK_COLORS = { critical: "#dc2626", high: "#d97706", medium: "#2563eb", low: "#64748b", resolved: "#16a34a" };
+const DISCORD_COLORS = { critical: 0xdc2626, high: 0xd97706, medium: 0x2563eb, low: 0x64748b, resolved: 0x16a34a };
+// Adaptive Cards only have named container styles
+const TEAMS_STYLES = { critical: "attention", high: "warning", medium: "accent", low: "emphasis", resolved: "good" };
+
+function truncate(value, length) {
+  const text = String(value || "").replace(/\s+/g, " ").trim();
+  return text.length > length ? `${text.slice(0, length - 1)}…` : text;
+}
+
+function plural(count, word) {
+  return `${count} ${word}${count === 1 ? "" : "s"}`;
+}
+
+function severityOf(incident) {
+  return isSeverity(incident.severity) ? incident.severity : "low";
+}
+
+// Worst first; a resolution is colored as such rather than by severity
+function toEntries({ newIncidents = [], statusChanges = [], escalations = [] }) {
+  return [
+    ...newIncidents.map((incident) => ({ incident, kind: "New incident", status: incident.status })),
+    ...escalations.map((incident) => ({
+      incident,
+      kind: `Escalated: ${incident.escalation}`,
+      status: incident.previousStatus ? `${incident.previousStatus} → ${incident.status}` : incident.status
+    })),
+    ...statusChanges.map((incident) => ({
+      incident,
+      kind: incident.status === "resolved" ? "Resolved" : "Status changed",
+      status: `${incident.previousStatus} → ${incident.status}`
+    }))
+  ]
+    .map((entry) => ({
+      ...entry,
+      tone: entry.incident.status === "resolved" ? "resolved" : severityOf(entry.incident)
+    }))
+    .sort((a, b) => severityRank(severityOf(a.incident)) - severityRank(severityOf(b.incident)));
+}
+
+function headline({ newIncidents = [], statusChanges = [], escalations = [] }) {
+  return [
+    newIncidents.length ? plural(newIncidents.length, "new incident") : null,
+    escalations.length ? plural(escalations.length, "escalation") : null,
+    statusChanges.length ? plural(statusChanges.length, "status change") : null
+  ]
+    .filter(Boolean)
+    .join(", ");
+}
+
+function sourcesOf(incident) {
+  return (incident.sources?.length ? incident.sources : [incident.source]).filter(Boolean).join(", ") || "Unknown";
+}
+
+function moreLine(hidden, dashboardUrl) {
+  if (hidden <= 0) return null;
+  return dashboardUrl ? `…and ${hidden} more on the dashboard: ${dashboardUrl}` : `…and ${hidden} more`;
+}
+
+function toDiscordEmbed({ incident, kind, status, tone }) {
+  const publishedAt = incident.publishedAt ? new Date(incident.publishedAt) : null;
+  return {
+    author: { name: kind },
+    title: truncate(`[${severityOf(incident).toUpperCase()}] ${incident.title}`, MAX_TITLE_LENGTH),
+    ...(incident.link ? { url: incident.link } : {}),
+    ...(incident.summary ? { description: truncate(incident.summary, MAX_DESCRIPTION_LENGTH) } : {}),
+    color: DISCORD_COLORS[tone],
+    fields: [
+      { name: "Provider", value: incident.provider || "Unknown", inline: true },
+      { name: "Status", value: status || "unknown", inline: true },
+      { name: "Source", value: sourcesOf(incident), inline: true }
+    ],
+    ...(publishedAt && !Number.isNaN(publishedAt.getTime()) ? { timestamp: publishedAt.toISOString() } : {})
+  };
+}
+
+export function discordMessage(update) {
+  const entries = toEntries(update);
+  const content = [
+    `**Cloud incident updates: ${headline(update)}**`,
+    moreLine(entries.length - MAX_LISTED, update.dashboardUrl)
+  ]
+    .filter(Boolean)
+    .join("\n");
+
+  return {
+    content,
+    embeds: entries.slice(0, MAX_LISTED).map(toDiscordEmbed),
+    allowed_mentions: { parse: [] }
+  };
+}
+
+function toTeamsContainer({ incident, kind, status, tone }) {
+  const title = truncate(incident.title, MAX_TITLE_LENGTH);
+  return {
+    type: "Container",
+    style: TEAMS_STYLES[tone],
+    spacing: "Medium",
+    items: [
+      {
+        type: "TextBlock",
+        text: `${kind} · ${severityOf(incident).toUpperCase()}`,
+        size: "Small",
+        weight: "Bolder",
+        isSubtle: true
+      },
+      {
+        type: "TextBlock",
+        text: incident.link ? `[${title.replace(/[[\]]/g, "")}](${incident.link})` : title,
+        weight: "Bolder",
+        wrap: true
+      },
+      ...(incident.summary
+        ? [{ type: "TextBlock", text: truncate(incident.summary, MAX_DESCRIPTION_LENGTH), wrap: true, spacing: "Small" }]
+        : []),
+      {
+        type: "FactSet",
+        facts: [
+          { title: "Provider", value: incident.provider || "Unknown" },
+          { title: "Status", value: status || "unknown" },
+          { title: "Source", value: sourcesOf(incident) }
+        ]
+      }
+    ]
+  };
+}
+
+export function teamsMessage(update) {
+  const entries = toEntries(update);
+  const { dashboardUrl } = update;
+  const more = moreLine(entries.length - MAX_LISTED, dashboardUrl);
+
+  return {
+    type: "message",
+    attachments: [
+      {
+        contentType: "application/vnd.microsoft.card.adaptive",
+        content: {
+          $schema: "http://adaptivecards.io/schemas/adaptive-card.json",
+          type: "AdaptiveCard",
+          version: "1.4",
+          msteams: { width: "Full" },
+          body: [
+            {
+              type: "TextBlock",
+              text: `Cloud incident updates: ${headline(update)}`,
+              size: "Medium",
+              weight: "Bolder",
+              wrap: true
+            },
+            ...entries.slice(0, MAX_LISTED).map(toTeamsContainer),
+            ...(more ? [{ type: "TextBlock", text: more, wrap: true, isSubtle: true }] : [])
+          ],
+          ...(dashboardUrl
+            ? { actions: [{ type: "Action.OpenUrl", title: "Open the dashboard", url: dashboardUrl }] }
+            : {})
+        }
+      }
+    ]
+  };
+}
+
+// Slack wants &, < and > escaped in mrkdwn, links included
+function escapeSlack(value) {
+  return String(value ?? "").replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
+function toSlackAttachment({ incident, kind, status, tone }) {
+  const title = escapeSlack(`[${severityOf(incident).toUpperCase()}] ${truncate(incident.title, MAX_TITLE_LENGTH)}`);
+  const summary = incident.summary ? `\n${escapeSlack(truncate(incident.summary, MAX_DESCRIPTION_LENGTH))}` : "";
+  return {
+    color: SLACK_COLORS[tone],
+    blocks: [
+      {
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: `${kind}\n*${incident.link ? `<${escapeSlack(incident.link)}|${title.replace(/\|/g, "¦")}>` : title}*${summary}`
+        },
+        fields: [
+          { type: "mrkdwn", text: `*Provider*\n${escapeSlack(incident.provider || "Unknown")}` },
+          { type: "mrkdwn", text: `*Status*\n${escapeSlack(status || "unknown")}` },
+          { type: "mrkdwn", text: `*Source*\n${escapeSlack(sourcesOf(incident))}` }
+        ]
+      }
+    ]
+  };
+}
+
+export function slackMessage(update) {
+  const entries = toEntries(update);
+  const { dashboardUrl } = update;
+  const text = `Cloud incident updates: ${headline(update)}`;
+  const more = moreLine(entries.length - MAX_LISTED, null);
+
+  return {
+    // Shown in notifications, where blocks are not
+    text,
+    blocks: [
+      { type: "header", text: { type: "plain_text", text } },
+      ...(more || dashboardUrl
+        ? [
+            {
+              type: "context",
+              elements: [
+                {
+                  type: "mrkdwn",
+                  text: [more, dashboardUrl ? `<${escapeSlack(dashboardUrl)}|Open the dashboard>` : null]
+                    .filter(Boolean)
+                    .join(" · ")
+                }
+              ]
+            }
+          ]
+        : [])
+    ],
+    attachments: entries.slice(0, MAX_LISTED).map(toSlackAttachment)
+  };
+}
+
+const CHAT_MESSAGES = { slack: slackMessage, discord: discordMessage, teams: teamsMessage };
+
+export function chatMessage(channel, update) {
+  return CHAT_MESSAGES[channel](update);
+}
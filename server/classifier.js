@@ -0,0 +1,168 @@
+import fs from "fs";
+import path from "path";
+import process from "node:process";
+import { fileURLToPath } from "url";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const RULES_CONFIG_PATH =
+  process.env.RULES_CONFIG_PATH || path.join(__dirname, "config", "rules.json");
+
+const TARGETS = ["status", "severity"];
+const FIELDS = ["title", "summary", "any"];
+
+let rules = null;
+let rulesLoadedMtime = 0;
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Phrases match as whole words; both forms are case-insensitive
+function compileRule(rule, target, scope) {
+  if (!rule?.id) throw new Error("missing id");
+  if (!rule.value) throw new Error("missing value");
+
+  const field = rule.field || "any";
+  if (!FIELDS.includes(field)) {
+    throw new Error(`field must be one of: ${FIELDS.join(", ")}`);
+  }
+
+  let source = rule.pattern;
+  if (!source && Array.isArray(rule.phrases) && rule.phrases.length) {
+    source = `\\b(${rule.phrases.map(escapeRegExp).join("|")})\\b`;
+  }
+  if (!source) throw new Error("needs a pattern or phrases");
+
+  return {
+    id: rule.id,
+    target,
+    scope,
+    field,
+    value: rule.value,
+    confidence: typeof rule.confidence === "number" ? rule.confidence : 0.5,
+    regex: new RegExp(source, "i"),
+    unless: rule.unless ? new RegExp(rule.unless, "i") : null
+  };
+}
+
+function compileRuleList(list, target, scope) {
+  return (list || []).flatMap((rule) => {
+    try {
+      return [compileRule(rule, target, scope)];
+    } catch (error) {
+      console.warn(`Skipping ${target} rule ${rule?.id || "(unnamed)"} in ${RULES_CONFIG_PATH}: ${error.message}`);
+      return [];
+    }
+  });
+}
+
+function compileRules(config) {
+  const compiled = { providers: {} };
+
+  TARGETS.forEach((target) => {
+    compiled[target] = {
+      default: config[target]?.default || (target === "status" ? "info" : "low"),
+      defaultConfidence: config[target]?.defaultConfidence ?? 0.3,
+      rules: compileRuleList(config[target]?.rules, target, "global")
+    };
+  });
+
+  Object.entries(config.providers || {}).forEach(([provider, overrides]) => {
+    compiled.providers[provider.toLowerCase()] = Object.fromEntries(
+      TARGETS.map((target) => [target, compileRuleList(overrides[target], target, provider)])
+    );
+  });
+
+  return compiled;
+}
+
+// Re-reads the rules file when it has changed on disk. Refreshes call this once
+// before classifying, so rule edits apply on the next refresh without a stat
+// per incident. Keeps the previous rules if the new file doesn't parse.
+export function loadRules() {
+  try {
+    const { mtimeMs } = fs.statSync(RULES_CONFIG_PATH);
+    if (rules && mtimeMs === rulesLoadedMtime) return rules;
+
+    rules = compileRules(JSON.parse(fs.readFileSync(RULES_CONFIG_PATH, "utf8")));
+    rulesLoadedMtime = mtimeMs;
+  } catch (error) {
+    console.error(`Failed to load classification rules ${RULES_CONFIG_PATH}:`, error);
+    if (!rules) rules = compileRules({});
+  }
+  return rules;
+}
+
+function fieldText(input, field) {
+  if (field === "title") return input.title || "";
+  if (field === "summary") return input.summary || "";
+  return `${input.title || ""} ${input.summary || ""}`;
+}
+
+// Provider overrides run before the global rules; the first match wins
+function evaluate(config, target, input, { explain = false } = {}) {
+  const providerRules = config.providers[(input.provider || "").toLowerCase()]?.[target] || [];
+  const candidates = [...providerRules, ...config[target].rules];
+  const trace = [];
+
+  for (const rule of candidates) {
+    const text = fieldText(input, rule.field);
+    const match = text.match(rule.regex);
+    const vetoed = Boolean(match && rule.unless?.test(text));
+
+    if (explain) {
+      trace.push({ ruleId: rule.id, scope: rule.scope, field: rule.field, matched: Boolean(match), vetoed });
+    }
+
+    if (match && !vetoed) {
+      return {
+        value: rule.value,
+        confidence: rule.confidence,
+        ruleId: rule.id,
+        scope: rule.scope,
+        field: rule.field,
+        matchedText: match[0],
+        trace
+      };
+    }
+  }
+
+  return {
+    value: config[target].default,
+    confidence: config[target].defaultConfidence,
+    ruleId: null,
+    scope: null,
+    field: null,
+    matchedText: null,
+    trace
+  };
+}
+
+export function classify({ title = "", summary = "", provider = "" } = {}) {
+  const input = { title, summary, provider };
+  const config = rules || loadRules();
+  const status = evaluate(config, "status", input);
+  const severity = evaluate(config, "severity", input);
+
+  return {
+    status: status.value,
+    severity: severity.value,
+    confidence: Math.min(status.confidence, severity.confidence)
+  };
+}
+
+// Same evaluation as classify(), with every rule that was tried along the way.
+// Checks the file first, so a rule being written can be tried right away.
+export function explainClassification({ title = "", summary = "", provider = "" } = {}) {
+  const input = { title, summary, provider };
+  const config = loadRules();
+  const status = evaluate(config, "status", input, { explain: true });
+  const severity = evaluate(config, "severity", input, { explain: true });
+
+  return {
+    status,
+    severity,
+    confidence: Math.min(status.confidence, severity.confidence)
+  };
+}
@@ -0,0 +1,130 @@
+import { severityRank } from "./severity.js";
+
+// Groups feed items that describe the same event (per-update RSS items, the
+// same outage reported by two feeds of one provider) into a single incident.
+
+const CORRELATION_WINDOW_MS = 12 * 60 * 60 * 1000;
+const SIMILARITY_THRESHOLD = 0.5;
+
+// Words that say where an update is in its lifecycle rather than what broke
+const STOP_WORDS = new Set([
+  "a", "an", "and", "are", "for", "in", "is", "of", "on", "the", "to", "with",
+  "active", "incident", "issue", "issues", "update", "updated", "resolved",
+  "mitigated", "investigating", "service", "operating", "normally",
+  "informational", "message", "some", "customers", "users", "may", "experience"
+]);
+
+function tokenize(title = "") {
+  return new Set(
+    title
+      .toLowerCase()
+      .replace(/[^a-z0-9\s-]/g, " ")
+      .split(/\s+/)
+      .filter((word) => word && !STOP_WORDS.has(word))
+  );
+}
+
+function jaccard(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  a.forEach((word) => {
+    if (b.has(word)) shared += 1;
+  });
+  return shared / (a.size + b.size - shared);
+}
+
+function overlaps(a = [], b = []) {
+  return a.some((value) => b.includes(value));
+}
+
+function timeOf(item) {
+  const time = item.publishedAt ? Date.parse(item.publishedAt) : NaN;
+  return Number.isNaN(time) ? null : time;
+}
+
+function belongsTo(group, candidate) {
+  const time = timeOf(candidate.item);
+  const inWindow = group.members.some((member) => {
+    const memberTime = timeOf(member.item);
+    return time === null || memberTime === null || Math.abs(time - memberTime) <= CORRELATION_WINDOW_MS;
+  });
+  if (!inWindow) return false;
+
+  return group.members.some((member) => {
+    const { item } = member;
+    // Same headline in a different region or for a different service is a different event
+    if (item.regions?.length && candidate.item.regions?.length && !overlaps(item.regions, candidate.item.regions)) {
+      return false;
+    }
+    if (item.services?.length && candidate.item.services?.length && !overlaps(item.services, candidate.item.services)) {
+      return false;
+    }
+
+    let score = jaccard(member.tokens, candidate.tokens);
+    if (overlaps(item.services, candidate.item.services)) score += 0.25;
+    return score >= SIMILARITY_THRESHOLD;
+  });
+}
+
+function summarizeGroup(members) {
+  const children = members
+    .map((member) => member.item)
+    .sort((a, b) => (timeOf(b) ?? 0) - (timeOf(a) ?? 0));
+  const latest = children[0];
+  const earliest = children[children.length - 1];
+  const worst = children.reduce((current, item) =>
+    severityRank(item.severity) < severityRank(current.severity) ? item : current
+  );
+  const unique = (values) => Array.from(new Set(values));
+
+  return {
+    ...latest,
+    id: earliest.id,
+    severity: worst.severity,
+    firstPublishedAt: earliest.publishedAt,
+    sources: unique(children.map((item) => item.source)),
+    services: unique(children.flatMap((item) => item.services || [])),
+    regions: unique(children.flatMap((item) => item.regions || [])),
+    updateCount: children.reduce((total, item) => total + (item.updateCount || 1), 0),
+    children
+  };
+}
+
+// A group keeps the id it was first given, so it doesn't turn into a new
+// incident once the item that id came from drops out of the feed. Each group
+// takes the oldest known id among its members that no other group took;
+// new groups are named after their earliest member.
+function assignGroupIds(incidents, groupIds) {
+  const taken = new Set();
+  return incidents.map((incident) => {
+    const oldestFirst = [...incident.children].reverse();
+    const id =
+      oldestFirst.map((item) => groupIds.get(item.id)).find((known) => known && !taken.has(known)) ||
+      oldestFirst.map((item) => item.id).find((own) => !taken.has(own)) ||
+      incident.id;
+    taken.add(id);
+    return id === incident.id ? incident : { ...incident, id };
+  });
+}
+
+// Items must all belong to one provider. Returns one incident per group with
+// the member items in `children`, newest first. `groupIds` maps item ids to
+// the id of the group they were in before.
+export function correlateIncidents(items, { groupIds = new Map() } = {}) {
+  const candidates = items
+    .filter((item) => item.id)
+    .map((item) => ({ item, tokens: tokenize(item.title) }))
+    .sort((a, b) => (timeOf(a.item) ?? 0) - (timeOf(b.item) ?? 0));
+
+  const groups = [];
+  candidates.forEach((candidate) => {
+    const group = groups.find((existing) => belongsTo(existing, candidate));
+    if (group) {
+      group.members.push(candidate);
+    } else {
+      groups.push({ members: [candidate] });
+    }
+  });
+
+  return assignGroupIds(groups.map((group) => summarizeGroup(group.members)), groupIds);
+}
@@ -0,0 +1,45 @@
+function flatten(snapshot) {
+  return (snapshot?.providers || []).flatMap((provider) => provider.incidents || []);
+}
+
+function hasChanged(previous, next) {
+  return (
+    previous.status !== next.status ||
+    previous.severity !== next.severity ||
+    previous.summary !== next.summary ||
+    previous.title !== next.title ||
+    (previous.updateCount || 1) !== (next.updateCount || 1) ||
+    (previous.children?.length || 1) !== (next.children?.length || 1)
+  );
+}
+
+// Compares two cache snapshots incident by incident. A change into "resolved"
+// is reported as resolved rather than updated; incidents that dropped out of
+// the feeds are reported as removed.
+export function diffSnapshots(prevSnapshot, nextSnapshot) {
+  const previousById = new Map(flatten(prevSnapshot).map((incident) => [incident.id, incident]));
+  const nextIds = new Set();
+  const created = [];
+  const updated = [];
+  const resolved = [];
+
+  flatten(nextSnapshot).forEach((incident) => {
+    if (!incident.id) return;
+    nextIds.add(incident.id);
+
+    const previous = previousById.get(incident.id);
+    if (!previous) {
+      created.push({ incident });
+    } else if (incident.status === "resolved" && previous.status !== "resolved") {
+      resolved.push({ incident, previousStatus: previous.status });
+    } else if (hasChanged(previous, incident)) {
+      updated.push({ incident, previousStatus: previous.status, previousSeverity: previous.severity });
+    }
+  });
+
+  const removed = Array.from(previousById.values())
+    .filter((incident) => !nextIds.has(incident.id))
+    .map((incident) => ({ id: incident.id, provider: incident.provider }));
+
+  return { created, updated, resolved, removed };
+}
@@ -0,0 +1,151 @@
+import { parseHistoryFilters } from "./history.js";
+import { matchesPreferences } from "./preferences.js";
+import { severityRank } from "./severity.js";
+import { getDigestEvents } from "./stats.js";
+
+// Daily and weekly summaries for subscribers who chose a digest over
+// instant alerts. Built from the stored incidents, so they need the database.
+
+export const DIGEST_PERIODS = ["daily", "weekly"];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Open incidents that started longer ago than this are left out
+const LOOKBACK_DAYS = 30;
+
+// The digest due at `now` covers the period that ended at the latest send
+// time: `hour` UTC every day, or Mondays at that hour for weekly
+export function digestWindow(period, { now = Date.now(), hour = 8 } = {}) {
+  const date = new Date(now);
+  let until = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate(), hour);
+  if (until > now) until -= DAY_MS;
+  if (period === "weekly") {
+    // getUTCDay() is 0 on Sunday
+    until -= ((new Date(until).getUTCDay() + 6) % 7) * DAY_MS;
+  }
+  const days = period === "weekly" ? 7 : 1;
+  return { since: new Date(until - days * DAY_MS), until: new Date(until) };
+}
+
+function byProvider(groups, incidents, key) {
+  incidents.forEach((incident) => {
+    if (!groups.has(incident.provider)) {
+      groups.set(incident.provider, { provider: incident.provider, new: 0, resolved: 0, open: 0 });
+    }
+    groups.get(incident.provider)[key] += 1;
+  });
+}
+
+export async function buildDigest(pool, period, preferences, options = {}) {
+  const { since, until } = digestWindow(period, options);
+  const { filters } = parseHistoryFilters({ days: LOOKBACK_DAYS + 7 });
+  const events = (await getDigestEvents(pool, filters, { since, until })).filter((incident) =>
+    matchesPreferences(preferences, incident)
+  );
+
+  const inWindow = (value) => value && value >= since && value < until;
+  const bySeverity = (a, b) =>
+    severityRank(a.severity) - severityRank(b.severity) || a.startedAt - b.startedAt;
+
+  const newIncidents = events.filter((incident) => inWindow(incident.startedAt)).sort(bySeverity);
+  const resolved = events
+    .filter((incident) => incident.status === "resolved" && inWindow(incident.resolvedAt))
+    .sort(bySeverity);
+  const stillOpen = events
+    .filter(
+      (incident) =>
+        (incident.status !== "resolved" || incident.resolvedAt >= until) &&
+        until - incident.startedAt <= LOOKBACK_DAYS * DAY_MS
+    )
+    .sort(bySeverity);
+
+  const providers = new Map();
+  byProvider(providers, newIncidents, "new");
+  byProvider(providers, resolved, "resolved");
+  byProvider(providers, stillOpen, "open");
+
+  return {
+    period,
+    since: since.toISOString(),
+    until: until.toISOString(),
+    newIncidents,
+    resolved,
+    stillOpen,
+    providers: Array.from(providers.values()).sort((a, b) => a.provider.localeCompare(b.provider))
+  };
+}
+
+function formatDuration(minutes) {
+  if (minutes == null) return "unknown duration";
+  if (minutes < 60) return `${Math.round(minutes)}m`;
+  if (minutes < 48 * 60) return `${Math.floor(minutes / 60)}h ${Math.round(minutes % 60)}m`;
+  return `${(minutes / 1440).toFixed(1)}d`;
+}
+
+function incidentLine(incident, detail) {
+  return `• [${incident.severity}] ${incident.provider}: ${incident.title}${detail ? ` (${detail})` : ""}`;
+}
+
+export function digestSubject(digest) {
+  const label = digest.period === "weekly" ? "Weekly" : "Daily";
+  const counts = [
+    `${digest.newIncidents.length} new`,
+    `${digest.stillOpen.length} open`,
+    `${digest.resolved.length} resolved`
+  ].join(", ");
+  return `${label} cloud incident digest: ${counts}`;
+}
+
+export function renderDigestText(digest) {
+  const label = digest.period === "weekly" ? "week" : "day";
+  const sections = [
+    `Cloud incidents for the ${label} ending ${digest.until.replace("T", " ").slice(0, 16)} UTC`
+  ];
+
+  if (digest.providers.length === 0) {
+    sections.push("No incidents. All quiet.");
+    return sections.join("\n\n");
+  }
+
+  sections.push(
+    [
+      "By provider:",
+      ...digest.providers.map(
+        (entry) => `• ${entry.provider}: ${entry.new} new, ${entry.open} open, ${entry.resolved} resolved`
+      )
+    ].join("\n")
+  );
+
+  if (digest.newIncidents.length > 0) {
+    sections.push(
+      ["New incidents:", ...digest.newIncidents.map((incident) => incidentLine(incident, incident.status))].join("\n")
+    );
+  }
+
+  if (digest.stillOpen.length > 0) {
+    sections.push(
+      [
+        "Still open:",
+        ...digest.stillOpen.map((incident) =>
+          incidentLine(
+            incident,
+            // Resolved since the period ended, but it was open at the time
+            `${incident.status === "resolved" ? "resolved since" : incident.status}, started ${incident.startedAt.toISOString().slice(0, 10)}`
+          )
+        )
+      ].join("\n")
+    );
+  }
+
+  if (digest.resolved.length > 0) {
+    sections.push(
+      [
+        "Resolved:",
+        ...digest.resolved.map((incident) =>
+          incidentLine(incident, `resolved after ${formatDuration(incident.resolveMinutes)}`)
+        )
+      ].join("\n")
+    );
+  }
+
+  return sections.join("\n\n");
+}
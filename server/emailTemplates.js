@@ -0,0 +1,412 @@
+import { digestSubject, renderDigestText } from "./digest.js";
+import { isSeverity, severityRank } from "./severity.js";
+
+// Subscriber emails as { subject, text, html }; nodemailer sends both parts as
+// multipart/alternative. The HTML sticks to tables and inline styles, since
+// that is all most mail clients render.
+
+const SEVERITY_COLORS = { critical: "#dc2626", high: "#d97706", medium: "#2563eb", low: "#64748b" };
+// Per provider; the rest is summed up as "and N more"
+const MAX_LISTED = 10;
+const MAX_SUMMARY_LENGTH = 280;
+const MAX_SUBJECT_TITLE_LENGTH = 100;
+
+export const EMAIL_TEMPLATES = ["alert", "digest", "confirmation", "already-subscribed"];
+
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+function truncate(value, length) {
+  const text = String(value || "").replace(/\s+/g, " ").trim();
+  return text.length > length ? `${text.slice(0, length - 1)}…` : text;
+}
+
+function plural(count, word) {
+  return `${count} ${word}${count === 1 ? "" : "s"}`;
+}
+
+function severityOf(incident) {
+  return isSeverity(incident.severity) ? incident.severity : "low";
+}
+
+function bySeverity(a, b) {
+  return severityRank(severityOf(a)) - severityRank(severityOf(b));
+}
+
+function formatUtc(value) {
+  const time = value ? new Date(value).getTime() : NaN;
+  return Number.isNaN(time) ? "" : `${new Date(time).toISOString().replace("T", " ").slice(0, 16)} UTC`;
+}
+
+// "[CRITICAL] AWS: S3 elevated error rates (+2 more)", after the worst incident
+function alertSubject(incidents) {
+  const [worst] = [...incidents].sort(bySeverity);
+  const more = incidents.length > 1 ? ` (+${incidents.length - 1} more)` : "";
+  return `[${severityOf(worst).toUpperCase()}] ${worst.provider}: ${truncate(worst.title, MAX_SUBJECT_TITLE_LENGTH)}${more}`;
+}
+
+// Providers with the worst incidents come first
+function groupByProvider(entries) {
+  const groups = new Map();
+  entries.forEach((entry) => {
+    const provider = entry.incident.provider || "Other";
+    if (!groups.has(provider)) groups.set(provider, { provider, entries: [] });
+    groups.get(provider).entries.push(entry);
+  });
+
+  return Array.from(groups.values())
+    .map((group) => ({ ...group, entries: group.entries.sort((a, b) => bySeverity(a.incident, b.incident)) }))
+    .sort(
+      (a, b) => bySeverity(a.entries[0].incident, b.entries[0].incident) || a.provider.localeCompare(b.provider)
+    );
+}
+
+function textFooter(links) {
+  if (!links) return "";
+  return `\n\n--\nChange which alerts you get: ${links.manage}\nUnsubscribe: ${links.unsubscribe}`;
+}
+
+function htmlFooter(links) {
+  if (!links) return "";
+  return `
+          <tr>
+            <td style="padding:16px 24px;border-top:1px solid #e2e8f0;font-size:12px;color:#64748b;">
+              You get these emails because you subscribed to cloud incident alerts.
+              <a href="${escapeHtml(links.manage)}" style="color:#2563eb;">Change which alerts you get</a>
+              &middot;
+              <a href="${escapeHtml(links.unsubscribe)}" style="color:#2563eb;">Unsubscribe</a>
+            </td>
+          </tr>`;
+}
+
+function layout({ title, preheader, body, links }) {
+  return `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <title>${escapeHtml(title)}</title>
+  </head>
+  <body style="margin:0;padding:0;background:#f1f5f9;font-family:-apple-system,'Segoe UI',Roboto,Helvetica,Arial,sans-serif;color:#0f172a;">
+    <div style="display:none;max-height:0;overflow:hidden;">${escapeHtml(preheader)}</div>
+    <table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="background:#f1f5f9;">
+      <tr>
+        <td align="center" style="padding:24px 12px;">
+          <table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="max-width:640px;background:#ffffff;border-radius:8px;">
+          <tr>
+            <td style="padding:20px 24px;background:#0f172a;border-radius:8px 8px 0 0;color:#ffffff;">
+              <div style="font-size:12px;letter-spacing:0.08em;text-transform:uppercase;color:#94a3b8;">Watch Sys</div>
+              <div style="font-size:18px;font-weight:600;margin-top:4px;">${escapeHtml(title)}</div>
+            </td>
+          </tr>
+${body}${htmlFooter(links)}
+          </table>
+        </td>
+      </tr>
+    </table>
+  </body>
+</html>
+`;
+}
+
+function severityBadge(severity) {
+  const color = SEVERITY_COLORS[severity];
+  return `<span style="display:inline-block;padding:2px 6px;border-radius:4px;background:${color};color:#ffffff;font-size:11px;font-weight:700;letter-spacing:0.04em;text-transform:uppercase;">${escapeHtml(severity)}</span>`;
+}
+
+function section(content) {
+  return `          <tr>
+            <td style="padding:16px 24px;">
+${content}
+            </td>
+          </tr>
+`;
+}
+
+function button(href, label) {
+  return `<a href="${escapeHtml(href)}" style="display:inline-block;padding:10px 16px;border-radius:6px;background:#2563eb;color:#ffffff;text-decoration:none;font-weight:600;">${escapeHtml(label)}</a>`;
+}
+
+function providerSummaryHtml(groups, columns) {
+  const cell = "padding:6px 8px;border-bottom:1px solid #e2e8f0;";
+  const rows = groups
+    .map(
+      (group) => `                <tr>
+                  <td style="${cell}font-weight:600;">${escapeHtml(group.provider)}</td>
+${columns.map((column) => `                  <td style="${cell}text-align:right;">${column.value(group)}</td>`).join("\n")}
+                  <td style="${cell}text-align:right;">${severityBadge(severityOf(group.entries[0].incident))}</td>
+                </tr>`
+    )
+    .join("\n");
+
+  return `              <table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="font-size:14px;border-collapse:collapse;">
+                <tr style="color:#64748b;font-size:12px;text-align:left;">
+                  <th style="padding:6px 8px;">Provider</th>
+${columns.map((column) => `                  <th style="padding:6px 8px;text-align:right;">${column.label}</th>`).join("\n")}
+                  <th style="padding:6px 8px;text-align:right;">Worst</th>
+                </tr>
+${rows}
+              </table>`;
+}
+
+function incidentCardHtml({ incident, label, detail }) {
+  const severity = severityOf(incident);
+  const color = SEVERITY_COLORS[severity];
+  const title = incident.link
+    ? `<a href="${escapeHtml(incident.link)}" style="color:#0f172a;text-decoration:none;">${escapeHtml(incident.title)}</a>`
+    : escapeHtml(incident.title);
+  const meta = [
+    label && `<strong>${escapeHtml(label)}</strong>`,
+    escapeHtml(detail),
+    incident.services?.length ? escapeHtml(incident.services.join(", ")) : null,
+    escapeHtml(formatUtc(incident.publishedAt || incident.startedAt))
+  ]
+    .filter(Boolean)
+    .join(" &middot; ");
+  const summary = truncate(incident.summary, MAX_SUMMARY_LENGTH);
+
+  return `              <table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="margin:8px 0;border-left:4px solid ${color};background:#f8fafc;">
+                <tr>
+                  <td style="padding:10px 12px;">
+                    <div>${severityBadge(severity)} <span style="font-weight:600;font-size:15px;">${title}</span></div>
+                    <div style="margin-top:4px;font-size:12px;color:#475569;">${meta}</div>${
+                      summary
+                        ? `\n                    <div style="margin-top:6px;font-size:13px;color:#334155;">${escapeHtml(summary)}</div>`
+                        : ""
+                    }${
+                      incident.link
+                        ? `\n                    <div style="margin-top:6px;font-size:13px;"><a href="${escapeHtml(incident.link)}" style="color:#2563eb;">View on the provider's status page</a></div>`
+                        : ""
+                    }
+                  </td>
+                </tr>
+              </table>`;
+}
+
+function providerSectionsHtml(groups) {
+  return groups
+    .map((group) => {
+      const cards = group.entries.slice(0, MAX_LISTED).map(incidentCardHtml).join("\n");
+      const hidden = group.entries.length - MAX_LISTED;
+      return `              <h2 style="margin:16px 0 4px;font-size:16px;">${escapeHtml(group.provider)}</h2>
+${cards}${hidden > 0 ? `\n              <div style="font-size:13px;color:#64748b;">…and ${hidden} more</div>` : ""}`;
+    })
+    .join("\n");
+}
+
+function providerSectionsText(groups) {
+  return groups
+    .map((group) => {
+      const lines = group.entries.slice(0, MAX_LISTED).map(({ incident, label, detail }) => {
+        const line = `• ${label ? `${label} ` : ""}[${severityOf(incident)}] ${incident.title} (${detail})`;
+        return incident.link ? `${line}\n  ${incident.link}` : line;
+      });
+      const hidden = group.entries.length - MAX_LISTED;
+      if (hidden > 0) lines.push(`…and ${hidden} more`);
+      return [group.provider, ...lines].join("\n");
+    })
+    .join("\n\n");
+}
+
+// New incidents, escalations and status changes for one subscriber, grouped
+// by provider
+export function alertEmail({ newIncidents = [], statusChanges = [], escalations = [], links }) {
+  const entries = [
+    ...newIncidents.map((incident) => ({ incident, label: "New", detail: incident.status })),
+    ...escalations.map((incident) => ({
+      incident,
+      label: "Escalated",
+      detail: `${incident.escalation}, ${incident.status}`
+    })),
+    ...statusChanges.map((incident) => ({
+      incident,
+      label: null,
+      detail: `${incident.previousStatus} → ${incident.status}`
+    }))
+  ];
+  const groups = groupByProvider(entries);
+  const counts = [
+    newIncidents.length ? plural(newIncidents.length, "new incident") : null,
+    escalations.length ? plural(escalations.length, "escalation") : null,
+    statusChanges.length ? plural(statusChanges.length, "status change") : null
+  ]
+    .filter(Boolean)
+    .join(", ");
+
+  const countOf = (group, isNew) => group.entries.filter((entry) => (entry.label === "New") === isNew).length;
+  const body = [
+    section(
+      providerSummaryHtml(groups, [
+        { label: "New", value: (group) => countOf(group, true) },
+        { label: "Updated", value: (group) => countOf(group, false) }
+      ])
+    ),
+    section(providerSectionsHtml(groups)),
+    links?.dashboard ? section(`              ${button(links.dashboard, "Open the dashboard")}`) : ""
+  ].join("");
+
+  const text = [counts, providerSectionsText(groups), links?.dashboard ? `Dashboard: ${links.dashboard}` : null]
+    .filter(Boolean)
+    .join("\n\n");
+
+  return {
+    subject: alertSubject(entries.map((entry) => entry.incident)),
+    text: `${text}${textFooter(links)}`,
+    html: layout({ title: `Cloud incident alert: ${counts}`, preheader: counts, body, links })
+  };
+}
+
+export function digestEmail(digest, links) {
+  const entries = [
+    ...digest.newIncidents.map((incident) => ({ incident, label: "New", detail: incident.status })),
+    ...digest.stillOpen
+      .filter((incident) => !digest.newIncidents.includes(incident))
+      .map((incident) => ({ incident, label: "Open", detail: incident.status })),
+    ...digest.resolved
+      .filter((incident) => !digest.newIncidents.includes(incident))
+      .map((incident) => ({ incident, label: "Resolved", detail: "resolved" }))
+  ];
+  const counts = Object.fromEntries(digest.providers.map((entry) => [entry.provider, entry]));
+  const groups = groupByProvider(entries);
+  const label = digest.period === "weekly" ? "week" : "day";
+  const heading = `Cloud incidents for the ${label} ending ${formatUtc(digest.until)}`;
+
+  const body = groups.length
+    ? [
+        section(
+          providerSummaryHtml(groups, [
+            { label: "New", value: (group) => counts[group.provider]?.new ?? 0 },
+            { label: "Open", value: (group) => counts[group.provider]?.open ?? 0 },
+            { label: "Resolved", value: (group) => counts[group.provider]?.resolved ?? 0 }
+          ])
+        ),
+        section(providerSectionsHtml(groups))
+      ].join("")
+    : section(`              <p style="margin:0;font-size:14px;">No incidents. All quiet.</p>`);
+
+  return {
+    subject: digestSubject(digest),
+    text: `${renderDigestText(digest)}${links?.dashboard ? `\n\nDashboard: ${links.dashboard}` : ""}${textFooter(links)}`,
+    html: layout({
+      title: heading,
+      preheader: digestSubject(digest),
+      body: `${body}${links?.dashboard ? section(`              ${button(links.dashboard, "Open the dashboard")}`) : ""}`,
+      links
+    })
+  };
+}
+
+export function confirmationEmail(email, links) {
+  const intro = `Someone, hopefully you, asked to receive cloud incident alerts at ${email}.`;
+  const expiry = "The link expires in 48 hours. If this wasn't you, ignore this email and nothing more will be sent.";
+  return {
+    subject: "Confirm your cloud incident alerts",
+    text: [intro, "", `Confirm your subscription: ${links.confirm}`, "", expiry].join("\n"),
+    html: layout({
+      title: "Confirm your subscription",
+      preheader: intro,
+      body: section(`              <p style="margin:0 0 16px;font-size:14px;">${escapeHtml(intro)}</p>
+              ${button(links.confirm, "Confirm subscription")}
+              <p style="margin:16px 0 0;font-size:12px;color:#64748b;">${escapeHtml(expiry)}</p>`)
+    })
+  };
+}
+
+export function alreadySubscribedEmail(email, links) {
+  const intro = `Someone asked to subscribe ${email} to cloud incident alerts, but it is already subscribed.`;
+  return {
+    subject: "You're already subscribed to cloud incident alerts",
+    text: `${intro}${textFooter(links)}`,
+    html: layout({
+      title: "You're already subscribed",
+      preheader: intro,
+      body: section(`              <p style="margin:0;font-size:14px;">${escapeHtml(intro)}</p>`),
+      links
+    })
+  };
+}
+
+function sampleIncidents(now) {
+  const ago = (minutes) => new Date(now - minutes * 60 * 1000);
+  return [
+    {
+      provider: "AWS",
+      title: "Increased error rates for S3 in us-east-1",
+      summary: "We are investigating increased error rates for S3 PUT and GET requests in the US-EAST-1 Region.",
+      status: "investigating",
+      previousStatus: "incident",
+      severity: "critical",
+      link: "https://health.aws.amazon.com/health/status",
+      services: ["S3"],
+      publishedAt: ago(25).toISOString(),
+      startedAt: ago(25)
+    },
+    {
+      provider: "Azure",
+      title: "Degraded performance for Azure Storage in West Europe",
+      summary: "A subset of customers may experience latency when accessing storage accounts.",
+      status: "degraded",
+      previousStatus: "investigating",
+      severity: "high",
+      link: "https://azure.status.microsoft/en-us/status",
+      services: ["Azure Storage"],
+      publishedAt: ago(90).toISOString(),
+      startedAt: ago(90)
+    },
+    {
+      provider: "GCP",
+      title: "Cloud SQL connectivity issues",
+      summary: "Mitigation has been applied and we are monitoring.",
+      status: "resolved",
+      previousStatus: "monitoring",
+      severity: "medium",
+      link: "https://status.cloud.google.com/",
+      services: ["Cloud SQL"],
+      publishedAt: ago(240).toISOString(),
+      startedAt: ago(300),
+      resolvedAt: ago(60),
+      resolveMinutes: 240
+    }
+  ];
+}
+
+// Fixed example data, so template changes can be reviewed without sending mail
+export function sampleEmail(template, links, now = Date.now()) {
+  const [aws, azure, gcp] = sampleIncidents(now);
+
+  if (template === "alert") {
+    return alertEmail({
+      newIncidents: [aws],
+      escalations: [{ ...azure, escalation: "unresolved for 1h 30m" }],
+      statusChanges: [gcp],
+      links
+    });
+  }
+  if (template === "digest") {
+    const until = new Date(now);
+    return digestEmail(
+      {
+        period: "daily",
+        since: new Date(now - 24 * 60 * 60 * 1000).toISOString(),
+        until: until.toISOString(),
+        newIncidents: [aws, azure],
+        resolved: [gcp],
+        stillOpen: [aws, azure],
+        providers: [
+          { provider: "AWS", new: 1, resolved: 0, open: 1 },
+          { provider: "Azure", new: 1, resolved: 0, open: 1 },
+          { provider: "GCP", new: 0, resolved: 1, open: 0 }
+        ]
+      },
+      links
+    );
+  }
+  if (template === "confirmation") return confirmationEmail("you@example.com", links);
+  return alreadySubscribedEmail("you@example.com", links);
+}
@@ -0,0 +1,156 @@
+import { Buffer } from "buffer";
+import { once } from "events";
+import { decodeCursor, queryHistoryPage } from "./history.js";
+
+// Streams history rows in the requested format, one keyset page at a time so
+// exports of any size never sit in memory.
+
+const EXPORT_BATCH_SIZE = 500;
+
+const CSV_COLUMNS = [
+  "id", "provider", "source", "title", "summary", "status", "severity", "services",
+  "regions", "link", "published_at", "resolved_at", "first_seen_at", "last_updated_at"
+];
+
+function toIso(value) {
+  if (!value) return "";
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(date.getTime()) ? "" : date.toISOString();
+}
+
+function csvCell(value) {
+  let text = Array.isArray(value) ? value.join("; ") : value instanceof Date ? toIso(value) : String(value ?? "");
+  // Spreadsheets run cells starting with these as formulas
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function icsDate(value) {
+  return toIso(value).replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+function icsText(value) {
+  return String(value ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+// Content lines longer than 75 octets are folded onto continuation lines
+function icsLine(line) {
+  const bytes = Buffer.from(line, "utf8");
+  if (bytes.length <= 75) return `${line}\r\n`;
+
+  const parts = [];
+  let current = "";
+  for (const char of line) {
+    const limit = parts.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(current + char, "utf8") > limit) {
+      parts.push(current);
+      current = "";
+    }
+    current += char;
+  }
+  parts.push(current);
+  return `${parts.join("\r\n ")}\r\n`;
+}
+
+function icsEvent(incident, now) {
+  const start = incident.published_at || incident.first_seen_at;
+  // Open incidents run until the time of the export
+  const end = incident.status === "resolved" ? incident.resolved_at || incident.last_updated_at : now;
+  const description = [
+    `Status: ${incident.status}`,
+    `Severity: ${incident.severity}`,
+    incident.services?.length ? `Services: ${incident.services.join(", ")}` : null,
+    incident.regions?.length ? `Regions: ${incident.regions.join(", ")}` : null,
+    "",
+    incident.summary || ""
+  ].filter((line) => line !== null);
+
+  return [
+    "BEGIN:VEVENT",
+    `UID:${icsText(Buffer.from(incident.id).toString("base64url"))}@watch-sys`,
+    `DTSTAMP:${icsDate(now)}`,
+    `DTSTART:${icsDate(start)}`,
+    `DTEND:${icsDate(end && new Date(end) > new Date(start) ? end : start)}`,
+    `SUMMARY:${icsText(`[${String(incident.severity).toUpperCase()}] ${incident.provider}: ${incident.title}`)}`,
+    `DESCRIPTION:${icsText(description.join("\n"))}`,
+    incident.link ? `URL:${incident.link}` : null,
+    `CATEGORIES:${icsText(incident.provider)}`,
+    "END:VEVENT"
+  ]
+    .filter(Boolean)
+    .map(icsLine)
+    .join("");
+}
+
+const FORMATS = {
+  csv: {
+    contentType: "text/csv; charset=utf-8",
+    extension: "csv",
+    header: () => `${CSV_COLUMNS.join(",")}\r\n`,
+    row: (incident) => `${CSV_COLUMNS.map((column) => csvCell(incident[column])).join(",")}\r\n`,
+    footer: () => ""
+  },
+  jsonl: {
+    contentType: "application/x-ndjson; charset=utf-8",
+    extension: "jsonl",
+    header: () => "",
+    row: (incident) => `${JSON.stringify(incident)}\n`,
+    footer: () => ""
+  },
+  ics: {
+    contentType: "text/calendar; charset=utf-8",
+    extension: "ics",
+    header: () =>
+      ["BEGIN:VCALENDAR", "VERSION:2.0", "PRODID:-//Watch Sys//Incident export//EN", "CALSCALE:GREGORIAN"]
+        .map(icsLine)
+        .join(""),
+    row: (incident, now) => icsEvent(incident, now),
+    footer: () => icsLine("END:VCALENDAR")
+  }
+};
+
+export const EXPORT_FORMATS = Object.keys(FORMATS);
+
+export async function streamExport(pool, filters, format, req, res) {
+  const writer = FORMATS[format];
+  const now = new Date();
+  let closed = false;
+  req.on("close", () => {
+    closed = true;
+  });
+
+  res.setHeader("Content-Type", writer.contentType);
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename="incidents-${now.toISOString().slice(0, 10)}.${writer.extension}"`
+  );
+
+  let cursor = filters.cursor;
+  let started = false;
+  do {
+    const page = await queryHistoryPage(pool, { ...filters, cursor, limit: EXPORT_BATCH_SIZE });
+    if (!started) {
+      res.write(writer.header());
+      started = true;
+    }
+
+    const chunk = page.incidents.map((incident) => writer.row(incident, now)).join("");
+    if (chunk && !res.write(chunk)) {
+      // Whichever listener loses the race is removed, or every pause would leave one behind
+      const waiting = new AbortController();
+      await Promise.race([
+        once(res, "drain", { signal: waiting.signal }),
+        once(res, "close", { signal: waiting.signal })
+      ]).finally(() => waiting.abort());
+    }
+    cursor = page.nextCursor ? decodeCursor(page.nextCursor) : null;
+  } while (cursor && !closed);
+
+  if (!closed) {
+    res.end(writer.footer());
+  }
+}
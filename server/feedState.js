@@ -0,0 +1,138 @@
+// Per-feed polling state: conditional request validators, the last good items,
+// and failure tracking for exponential backoff with a per-feed circuit breaker.
+
+// Feeds are polled once per refresh cycle, so a backoff step shorter than this delays nothing
+export const REFRESH_INTERVAL_MS = 5 * 60 * 1000;
+const CIRCUIT_FAILURE_THRESHOLD = 3;
+const BACKOFF_BASE_MS = 2 * REFRESH_INTERVAL_MS;
+const BACKOFF_MAX_MS = 2 * 60 * 60 * 1000;
+const MAX_RECENT_ERRORS = 5;
+// A feed with no success for this long is reported as stale even if it isn't failing
+const STALE_AFTER_MS = 15 * 60 * 1000;
+
+const states = new Map();
+
+function createState(feed) {
+  return {
+    url: feed.url,
+    type: feed.type,
+    etag: null,
+    lastModified: null,
+    items: [],
+    lastAttemptAt: null,
+    lastSuccessAt: null,
+    lastErrorAt: null,
+    lastError: null,
+    consecutiveFailures: 0,
+    nextAttemptAt: 0,
+    latencyMs: null,
+    recentErrors: []
+  };
+}
+
+function getState(feed) {
+  let state = states.get(feed.id);
+  // A feed pointed somewhere else starts over: old validators and items don't apply
+  if (!state || state.url !== feed.url || state.type !== feed.type) {
+    state = createState(feed);
+    states.set(feed.id, state);
+  }
+  return state;
+}
+
+function getCircuit(state, now) {
+  if (state.consecutiveFailures < CIRCUIT_FAILURE_THRESHOLD) return "closed";
+  return now < state.nextAttemptAt ? "open" : "half-open";
+}
+
+// ok: last attempt succeeded; failing: recent errors, still retried every cycle;
+// down: circuit open or half-open; stale: no success in a while; pending: never polled
+function getHealth(state, now) {
+  if (!state.lastAttemptAt) return "pending";
+  if (state.consecutiveFailures >= CIRCUIT_FAILURE_THRESHOLD) return "down";
+  if (state.consecutiveFailures > 0) return "failing";
+  if (now - state.lastSuccessAt > STALE_AFTER_MS) return "stale";
+  return "ok";
+}
+
+// Drops the state of feeds that are no longer configured so it can't grow without bound
+export function pruneFeedStates(feedIds) {
+  const keep = new Set(feedIds);
+  for (const id of states.keys()) {
+    if (!keep.has(id)) states.delete(id);
+  }
+}
+
+export function shouldAttempt(feed, now = Date.now()) {
+  return getState(feed).nextAttemptAt <= now;
+}
+
+export function getConditions(feed) {
+  const { etag, lastModified } = getState(feed);
+  return { etag, lastModified };
+}
+
+export function getLastItems(feed) {
+  return getState(feed).items;
+}
+
+export function recordSuccess(feed, result, latencyMs = null) {
+  const now = Date.now();
+  const state = getState(feed);
+  if (!result.notModified) {
+    state.items = result.items || [];
+  }
+  state.etag = result.etag || null;
+  state.lastModified = result.lastModified || null;
+  state.lastAttemptAt = now;
+  state.lastSuccessAt = now;
+  state.latencyMs = latencyMs;
+  state.consecutiveFailures = 0;
+  state.nextAttemptAt = 0;
+  return state.items;
+}
+
+// Failures below the threshold are retried on the next cycle. From then on the
+// circuit opens and the wait doubles per failure, capped at BACKOFF_MAX_MS.
+export function recordFailure(feed, error, latencyMs = null) {
+  const now = Date.now();
+  const state = getState(feed);
+  state.lastAttemptAt = now;
+  state.lastErrorAt = now;
+  state.lastError = error?.message || "Failed to load feed";
+  state.latencyMs = latencyMs;
+  state.consecutiveFailures += 1;
+  state.recentErrors = [
+    { at: new Date(now).toISOString(), message: state.lastError },
+    ...state.recentErrors
+  ].slice(0, MAX_RECENT_ERRORS);
+
+  const overThreshold = state.consecutiveFailures - CIRCUIT_FAILURE_THRESHOLD;
+  state.nextAttemptAt =
+    overThreshold >= 0
+      ? now + Math.min(BACKOFF_BASE_MS * 2 ** overThreshold, BACKOFF_MAX_MS)
+      : 0;
+  return state.items;
+}
+
+export function describeFeedState(feed, now = Date.now()) {
+  const state = getState(feed);
+  const toIso = (value) => (value ? new Date(value).toISOString() : null);
+
+  return {
+    id: feed.id,
+    provider: feed.provider,
+    source: feed.name,
+    health: getHealth(state, now),
+    circuit: getCircuit(state, now),
+    lastAttemptAt: toIso(state.lastAttemptAt),
+    lastSuccessAt: toIso(state.lastSuccessAt),
+    lastErrorAt: toIso(state.lastErrorAt),
+    lastError: state.lastError,
+    consecutiveFailures: state.consecutiveFailures,
+    nextAttemptAt: toIso(state.nextAttemptAt),
+    latencyMs: state.latencyMs,
+    itemCount: state.items.length,
+    recentErrors: state.recentErrors
+  };
+}
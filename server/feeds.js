@@ -0,0 +1,192 @@
+import fs from "fs";
+import path from "path";
+import process from "node:process";
+import { fileURLToPath } from "url";
+import { FEED_TYPES } from "./adapters.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const FEEDS_CONFIG_PATH =
+  process.env.FEEDS_CONFIG_PATH || path.join(__dirname, "config", "feeds.json");
+
+// Feeds from the config file, keyed by id
+let configFeeds = new Map();
+// Rows from the feeds table: additions, overrides and deletions of config feeds
+let storedFeeds = new Map();
+
+function readConfigFeeds() {
+  try {
+    const raw = JSON.parse(fs.readFileSync(FEEDS_CONFIG_PATH, "utf8"));
+    const entries = Array.isArray(raw) ? raw : raw.feeds || [];
+    const next = new Map();
+    entries.forEach((entry) => {
+      const { feed, error } = validateFeed(entry);
+      if (error) {
+        console.warn(`Skipping feed in ${FEEDS_CONFIG_PATH}: ${error}`);
+        return;
+      }
+      next.set(feed.id, feed);
+    });
+    return next;
+  } catch (error) {
+    console.error(`Failed to read feeds config ${FEEDS_CONFIG_PATH}:`, error);
+    return configFeeds;
+  }
+}
+
+function rowToFeed(row) {
+  return {
+    id: row.id,
+    provider: row.provider,
+    name: row.name,
+    url: row.url,
+    type: row.type,
+    enabled: row.enabled,
+    deleted: row.deleted
+  };
+}
+
+export function validateFeed(input = {}, { partial = false } = {}) {
+  const feed = {};
+
+  if (!partial || input.id !== undefined) {
+    const id = String(input.id || "").trim().toLowerCase();
+    if (!/^[a-z0-9][a-z0-9-]{0,99}$/.test(id)) {
+      return { error: "Feed id must be lowercase letters, numbers and dashes" };
+    }
+    feed.id = id;
+  }
+
+  for (const field of ["provider", "name"]) {
+    if (!partial || input[field] !== undefined) {
+      const value = String(input[field] || "").trim();
+      if (!value) return { error: `Feed ${field} is required` };
+      feed[field] = value;
+    }
+  }
+
+  if (!partial || input.url !== undefined) {
+    const url = String(input.url || "").trim();
+    if (!/^https?:\/\/\S+$/i.test(url)) {
+      return { error: "Feed url must be an http(s) URL" };
+    }
+    feed.url = url;
+  }
+
+  if (input.type !== undefined) {
+    if (!FEED_TYPES.includes(input.type)) {
+      return { error: `Feed type must be one of: ${FEED_TYPES.join(", ")}` };
+    }
+    feed.type = input.type;
+  } else if (!partial) {
+    feed.type = "rss";
+  }
+
+  if (input.enabled !== undefined) {
+    if (typeof input.enabled !== "boolean") {
+      return { error: "Feed enabled must be a boolean" };
+    }
+    feed.enabled = input.enabled;
+  } else if (!partial) {
+    feed.enabled = true;
+  }
+
+  return { feed };
+}
+
+// Re-reads the config file and the feeds table. Called on boot and at the start
+// of every refresh cycle, so edits made by another instance are picked up too.
+export async function loadFeeds(pool) {
+  configFeeds = readConfigFeeds();
+  if (!pool) return;
+
+  try {
+    const result = await pool.query(
+      "SELECT id, provider, name, url, type, enabled, deleted FROM feeds"
+    );
+    storedFeeds = new Map(result.rows.map((row) => [row.id, rowToFeed(row)]));
+  } catch (error) {
+    console.warn("Failed to load feeds from database", error);
+  }
+}
+
+export function listFeeds() {
+  const merged = new Map(configFeeds);
+  storedFeeds.forEach((feed, id) => {
+    if (feed.deleted) {
+      merged.delete(id);
+    } else {
+      merged.set(id, feed);
+    }
+  });
+
+  return Array.from(merged.values()).map((feed) => ({
+    id: feed.id,
+    provider: feed.provider,
+    name: feed.name,
+    url: feed.url,
+    type: feed.type || "rss",
+    enabled: feed.enabled !== false,
+    origin: storedFeeds.has(feed.id) ? "api" : "config"
+  }));
+}
+
+export function getFeed(id) {
+  return listFeeds().find((feed) => feed.id === id) || null;
+}
+
+export function getEnabledFeeds() {
+  return listFeeds().filter((feed) => feed.enabled);
+}
+
+async function storeFeed(pool, feed, { deleted = false } = {}) {
+  if (pool) {
+    await pool.query(
+      `INSERT INTO feeds (id, provider, name, url, type, enabled, deleted)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       ON CONFLICT (id) DO UPDATE SET
+         provider = EXCLUDED.provider,
+         name = EXCLUDED.name,
+         url = EXCLUDED.url,
+         type = EXCLUDED.type,
+         enabled = EXCLUDED.enabled,
+         deleted = EXCLUDED.deleted,
+         updated_at = NOW()`,
+      [feed.id, feed.provider, feed.name, feed.url, feed.type, feed.enabled, deleted]
+    );
+  }
+  storedFeeds.set(feed.id, { ...feed, deleted });
+}
+
+export async function createFeed(pool, feed) {
+  await storeFeed(pool, feed);
+  return getFeed(feed.id);
+}
+
+export async function updateFeed(pool, id, changes) {
+  const existing = getFeed(id);
+  if (!existing) return null;
+
+  const { origin: _origin, ...current } = existing;
+  await storeFeed(pool, { ...current, ...changes, id });
+  return getFeed(id);
+}
+
+// Config feeds cannot be removed from the file at runtime, so deleting one
+// stores a tombstone row that hides it until the row is removed again.
+export async function deleteFeed(pool, id) {
+  const existing = getFeed(id);
+  if (!existing) return false;
+
+  if (configFeeds.has(id)) {
+    const { origin: _origin, ...current } = existing;
+    await storeFeed(pool, current, { deleted: true });
+    return true;
+  }
+
+  if (pool) {
+    await pool.query("DELETE FROM feeds WHERE id = $1", [id]);
+  }
+  storedFeeds.delete(id);
+  return true;
+}
@@ -0,0 +1,176 @@
+import { Buffer } from "buffer";
+import { resolveRegion, resolveService } from "./catalog.js";
+import { SEVERITIES } from "./severity.js";
+
+// Filtering and keyset pagination over the incidents table, shared by every
+// endpoint that reads history so they all accept the same query string.
+
+const STATUSES = ["investigating", "incident", "degraded", "monitoring", "maintenance", "resolved", "info"];
+const MAX_DAYS = 90;
+const MAX_LIMIT = 500;
+// incidents.id is a VARCHAR(500)
+const MAX_ID_LENGTH = 500;
+
+// Accepts ?x=a,b as well as ?x=a&x=b
+function listParam(value) {
+  const values = Array.isArray(value) ? value : [value];
+  return values
+    .flatMap((entry) => String(entry ?? "").split(","))
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+}
+
+function clampInt(value, min, max, fallback) {
+  const parsed = parseInt(value, 10);
+  if (Number.isNaN(parsed)) return fallback;
+  return Math.max(min, Math.min(max, parsed));
+}
+
+export function encodeCursor(values) {
+  return Buffer.from(JSON.stringify(values)).toString("base64url");
+}
+
+// published_at::text, e.g. "2026-10-19 11:35:00.123". Round-tripping through
+// Date catches the likes of February 30th, which Postgres would refuse.
+function isTimestamp(value) {
+  if (typeof value !== "string" || !/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}(\.\d{1,6})?$/.test(value)) return false;
+  const seconds = `${value.slice(0, 10)}T${value.slice(11, 19)}`;
+  const date = new Date(`${seconds}Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 19) === seconds;
+}
+
+// Cursors come back from clients, so anything that isn't a cursor this module
+// could have written is rejected before it reaches a query
+export function decodeCursor(cursor) {
+  let values;
+  try {
+    values = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+  } catch {
+    return null;
+  }
+
+  if (!values || typeof values !== "object") return null;
+  const { publishedAt, id, rank } = values;
+  if (!isTimestamp(publishedAt)) return null;
+  if (typeof id !== "string" || id.length === 0 || id.length > MAX_ID_LENGTH) return null;
+  if (rank !== undefined && !Number.isFinite(rank)) return null;
+  return values;
+}
+
+// Returns { filters } or { error } for a 400 response
+export function parseHistoryFilters(
+  query = {},
+  { defaultLimit = 200, defaultDays = 7, maxDays = MAX_DAYS } = {}
+) {
+  const filters = {
+    days: clampInt(query.days, 1, maxDays, defaultDays),
+    limit: clampInt(query.limit, 1, MAX_LIMIT, defaultLimit),
+    providers: listParam(query.provider).map((provider) => provider.toLowerCase()),
+    statuses: listParam(query.status).map((status) => status.toLowerCase()),
+    severities: listParam(query.severity).map((severity) => severity.toLowerCase()),
+    services: listParam(query.service).map(resolveService),
+    regions: listParam(query.region).map(resolveRegion),
+    search: String(query.q || "").trim(),
+    cursor: null
+  };
+
+  const unknownStatus = filters.statuses.find((status) => !STATUSES.includes(status));
+  if (unknownStatus) {
+    return { error: `Unknown status "${unknownStatus}". Use one of: ${STATUSES.join(", ")}.` };
+  }
+
+  const unknownSeverity = filters.severities.find((severity) => !SEVERITIES.includes(severity));
+  if (unknownSeverity) {
+    return { error: `Unknown severity "${unknownSeverity}". Use one of: ${SEVERITIES.join(", ")}.` };
+  }
+
+  if (query.cursor) {
+    filters.cursor = decodeCursor(query.cursor);
+    if (!filters.cursor) {
+      return { error: "Invalid cursor." };
+    }
+  }
+
+  return { filters };
+}
+
+// Builds the WHERE clause for parsed filters. Clauses reference $1..$n of the
+// returned params, so callers can push further params after them.
+export function buildHistoryWhere(filters) {
+  const params = [];
+  const clauses = [];
+  const add = (clause, value) => {
+    params.push(value);
+    clauses.push(clause.replace("?", `$${params.length}`));
+  };
+
+  add("published_at >= NOW() - make_interval(days => ?::int)", filters.days);
+  if (filters.providers.length) add("lower(provider) = ANY(?::text[])", filters.providers);
+  if (filters.statuses.length) add("status = ANY(?::text[])", filters.statuses);
+  if (filters.severities.length) add("severity = ANY(?::text[])", filters.severities);
+  if (filters.services.length) add("services && ?::text[]", filters.services);
+  if (filters.regions.length) add("regions && ?::text[]", filters.regions);
+  if (filters.search) add("search_vector @@ websearch_to_tsquery('english', ?)", filters.search);
+
+  return {
+    where: clauses.join(" AND "),
+    params,
+    searchParam: filters.search ? `$${params.length}` : null
+  };
+}
+
+// One page of incidents. Searches are ordered by rank, everything else by
+// publish time; either way id breaks ties so the keyset never skips rows.
+export async function queryHistoryPage(pool, filters) {
+  const { where, params, searchParam } = buildHistoryWhere(filters);
+  const searching = Boolean(searchParam);
+  const rank = searching ? `ts_rank(search_vector, websearch_to_tsquery('english', ${searchParam}))` : "0";
+
+  let keyset = "";
+  if (filters.cursor) {
+    if (searching) {
+      params.push(Number(filters.cursor.rank) || 0, filters.cursor.publishedAt, filters.cursor.id);
+      keyset = `AND (${rank}, published_at, id) < ($${params.length - 2}::real, $${params.length - 1}::timestamp, $${params.length})`;
+    } else {
+      params.push(filters.cursor.publishedAt, filters.cursor.id);
+      keyset = `AND (published_at, id) < ($${params.length - 1}::timestamp, $${params.length})`;
+    }
+  }
+
+  // One extra row tells us whether there is a next page
+  params.push(filters.limit + 1);
+  const result = await pool.query(
+    `
+      SELECT
+        id, provider, source, title, summary, status, severity, link,
+        services, regions, published_at, resolved_at, first_seen_at, last_updated_at,
+        ${rank} AS rank, published_at::text AS cursor_published_at
+      FROM incidents
+      WHERE ${where} ${keyset}
+      ORDER BY ${searching ? "rank DESC, " : ""}published_at DESC, id DESC
+      LIMIT $${params.length}
+    `,
+    params
+  );
+
+  const rows = result.rows.slice(0, filters.limit);
+  const last = rows[rows.length - 1];
+  const nextCursor =
+    result.rows.length > filters.limit && last
+      ? encodeCursor({
+          publishedAt: last.cursor_published_at,
+          id: last.id,
+          ...(searching ? { rank: last.rank } : {})
+        })
+      : null;
+
+  return {
+    incidents: rows.map((row) => {
+      const incident = { ...row };
+      delete incident.cursor_published_at;
+      if (!searching) delete incident.rank;
+      return incident;
+    }),
+    nextCursor
+  };
+}
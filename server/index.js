@@ -1,27 +1,127 @@
 import express from "express";
 import cors from "cors";
-import Parser from "rss-parser";
 import nodemailer from "nodemailer";
 import pg from "pg";
+import crypto from "crypto";
+import fs from "fs";
 import path from "path";
+import process from "node:process";
 import { fileURLToPath } from "url";
+import { fetchFeed } from "./adapters.js";
+import { applyAlertPolicy, policyFor, releaseHeldAlerts } from "./alertPolicy.js";
+import { resolveRegion, resolveService } from "./catalog.js";
+import { chatMessage } from "./chatTemplates.js";
+import { explainClassification, loadRules } from "./classifier.js";
+import { correlateIncidents } from "./correlate.js";
+import { diffSnapshots } from "./diff.js";
+import { buildDigest, DIGEST_PERIODS, digestSubject, digestWindow, renderDigestText } from "./digest.js";
+import {
+  alertEmail,
+  alreadySubscribedEmail,
+  confirmationEmail,
+  digestEmail,
+  EMAIL_TEMPLATES,
+  sampleEmail
+} from "./emailTemplates.js";
+import { EXPORT_FORMATS, streamExport } from "./export.js";
+import {
+  describeFeedState,
+  getConditions,
+  getLastItems,
+  pruneFeedStates,
+  recordFailure,
+  recordSuccess,
+  REFRESH_INTERVAL_MS,
+  shouldAttempt
+} from "./feedState.js";
+import {
+  createFeed,
+  deleteFeed,
+  getEnabledFeeds,
+  getFeed,
+  listFeeds,
+  loadFeeds,
+  updateFeed,
+  validateFeed
+} from "./feeds.js";
+import { parseHistoryFilters, queryHistoryPage } from "./history.js";
+import { claimNotifications } from "./notificationState.js";
+import {
+  enqueueNotifications,
+  getNotificationJob,
+  listNotificationJobs,
+  NOTIFICATION_CHANNELS,
+  NOTIFICATION_STATUSES,
+  processNotificationOutbox,
+  retryNotificationJob,
+  sendNotificationsInline
+} from "./outbox.js";
+import { matchesPreferences, rowToPreferences, validatePreferences } from "./preferences.js";
+import { CHAT_CHANNELS, findRoute, loadRoutes, planChatMessages } from "./routing.js";
+import { severityRank } from "./severity.js";
+import {
+  getAvailability,
+  getLongestOpen,
+  getProviderSummary,
+  getResolutionTimes,
+  getTrends,
+  parseStatsQuery
+} from "./stats.js";
+import { getStreamClientCount, handleStream, publishEvent } from "./stream.js";
+import { createSubscriptionToken, TOKEN_TTL_MS, verifySubscriptionToken } from "./subscriptionTokens.js";
+import {
+  buildAtomFeed,
+  buildJsonFeed,
+  FEED_FORMATS,
+  FEED_SEVERITIES,
+  selectEntries
+} from "./syndication.js";
+import {
+  createWebhook,
+  deleteWebhook,
+  enqueueWebhookEvents,
+  getWebhook,
+  listDeliveries,
+  listWebhooks,
+  processWebhookDeliveries,
+  redeliver,
+  updateWebhook,
+  validateWebhook
+} from "./webhooks.js";
 
 const { Pool } = pg;
 
 const app = express();
 const PORT = process.env.PORT || 5174;
-const CACHE_TTL_MS = 5 * 60 * 1000;
+const CACHE_TTL_MS = REFRESH_INTERVAL_MS;
+const RETRY_POLL_MS = 30 * 1000;
+const CHAT_TIMEOUT_MS = 10 * 1000;
+const DIGEST_CHECK_MS = 5 * 60 * 1000;
+// Repeated sign-ups for one address get at most one email per window
+const SIGNUP_EMAIL_INTERVAL_MS = 10 * 60 * 1000;
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 const clientDistPath = path.resolve(__dirname, "..", "dist");
 const ENABLE_NOTIFICATIONS = process.env.ENABLE_NOTIFICATIONS === "true";
 const DISCORD_WEBHOOK_URL = process.env.DISCORD_WEBHOOK_URL || "";
 const TEAMS_WEBHOOK_URL = process.env.TEAMS_WEBHOOK_URL || "";
+const SLACK_WEBHOOK_URL = process.env.SLACK_WEBHOOK_URL || "";
 const ENABLE_EMAIL_NOTIFICATIONS = process.env.ENABLE_EMAIL_NOTIFICATIONS === "true";
 const EMAIL_SMTP_USER = process.env.EMAIL_SMTP_USER || "";
 const EMAIL_SMTP_PASS = process.env.EMAIL_SMTP_PASS || "";
 const EMAIL_FROM = process.env.EMAIL_FROM || EMAIL_SMTP_USER;
+// Hour of the day (UTC) digests go out; weekly ones on Mondays
+const DIGEST_HOUR = Math.min(23, Math.max(0, parseInt(process.env.DIGEST_HOUR, 10) || 8));
 const DATABASE_URL = process.env.DATABASE_URL;
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || "";
+// Absolute links in published feeds; falls back to the request's host
+const PUBLIC_URL = (process.env.PUBLIC_URL || "").replace(/\/+$/, "");
+// Signs confirm/manage/unsubscribe links; without it they stop working on restart
+const SUBSCRIPTION_SECRET = process.env.SUBSCRIPTION_SECRET || crypto.randomBytes(32).toString("hex");
+
+if (ENABLE_EMAIL_NOTIFICATIONS && !process.env.SUBSCRIPTION_SECRET) {
+  console.warn("SUBSCRIPTION_SECRET is not set; links in emails sent before a restart will stop working");
+}
 
 const pool = DATABASE_URL
   ? new Pool({
@@ -33,49 +133,17 @@ const pool = DATABASE_URL
     })
   : null;
 
-const parser = new Parser({
-  timeout: 15000,
-  headers: {
-    "User-Agent": "watch-sys-status-bot/1.0"
-  }
-});
-
-const FEEDS = [
-  {
-    id: "azure-status",
-    provider: "Azure",
-    name: "Azure Status",
-    url: "https://rssfeed.azure.status.microsoft/en-gb/status/feed/"
-  },
-  {
-    id: "azure-devops",
-    provider: "Azure",
-    name: "Azure DevOps Status",
-    url: "https://status.dev.azure.com/_rss"
-  },
-  {
-    id: "aws-status",
-    provider: "AWS",
-    name: "AWS Service Health Dashboard",
-    url: "https://status.aws.amazon.com/rss/all.rss"
-  },
-  {
-    id: "gcp-status",
-    provider: "GCP",
-    name: "Google Cloud Status",
-    url: "https://status.cloud.google.com/en/feed.atom"
-  }
-];
-
 let cache = {
   updatedAt: 0,
   providers: [],
-  errors: []
+  errors: [],
+  sources: []
 };
 
-const sentIncidentIds = new Set();
-const MAX_SENT_IDS = 500;
-const subscriberEmails = new Set();
+// email -> { status: "pending" | "confirmed", preferences }
+const subscribers = new Map();
+// email -> when a sign-up last sent it a confirmation or "already subscribed" email
+const signupEmailsSentAt = new Map();
 const emailTransporter =
   ENABLE_EMAIL_NOTIFICATIONS && EMAIL_SMTP_USER && EMAIL_SMTP_PASS
     ? nodemailer.createTransport({
@@ -83,166 +151,250 @@ const emailTransporter =
         auth: {
           user: EMAIL_SMTP_USER,
           pass: EMAIL_SMTP_PASS
-        }
+        },
+        connectionTimeout: 15 * 1000,
+        socketTimeout: 60 * 1000
       })
     : null;
 
-let refreshInFlight = null;
+const CHAT_WEBHOOK_URLS = { slack: SLACK_WEBHOOK_URL, discord: DISCORD_WEBHOOK_URL, teams: TEAMS_WEBHOOK_URL };
 
-function normalizeStatus(title = "", content = "") {
-  const text = `${title} ${content}`.toLowerCase();
-  
-  // Check for resolved/recovered states first
-  if (
-    text.includes("resolved") ||
-    text.includes("mitigated") ||
-    text.includes("restored") ||
-    text.includes("stabilized") ||
-    text.includes("recovering") ||
-    text.includes("recovery complete")
-  ) {
-    return "resolved";
-  }
-  
-  if (text.includes("investigating")) return "investigating";
-  if (text.includes("maintenance")) return "maintenance";
-  if (text.includes("degrad") || text.includes("degradation")) return "degraded";
-  if (text.includes("outage") || text.includes("incident")) return "incident";
-  return "info";
-}
-
-function detectSeverity(title = "", content = "") {
-  const text = `${title} ${content}`.toLowerCase();
-  
-  // Critical: outage, severe failures, complete unavailability
-  if (text.includes("outage") || text.includes("unavailable") || text.includes("complete failure")) {
-    return "critical";
-  }
-  
-  // High: failures affecting multiple regions/services, operation failures
-  if (
-    text.includes("failure") ||
-    text.includes("unable") ||
-    text.includes("major") ||
-    text.includes("multiple regions") ||
-    text.includes("dependent service") ||
-    (text.includes("region") && text.includes("impacted")) ||
-    text.match(/\b(east|west|north|south|central).*and.*(east|west|north|south|central)\b/)
-  ) {
-    return "high";
-  }
-  
-  // Medium: degraded performance, intermittent issues
-  if (
-    text.includes("degraded") ||
-    text.includes("intermittent") ||
-    text.includes("delays") ||
-    text.includes("elevated latency")
-  ) {
-    return "medium";
-  }
-  
-  // Low: informational, resolved, maintenance
-  return "low";
-}
-
-function getSeverityPriority(severity) {
-  const priorities = { critical: 0, high: 1, medium: 2, low: 3 };
-  return priorities[severity] ?? 999;
-}
-
-function mapItem(item, feed) {
-  const summary = item.contentSnippet || item.content || "";
-  const status = normalizeStatus(item.title, summary);
-  const severity = detectSeverity(item.title, summary);
+// How the outbox delivers each channel; a sender throws when delivery failed
+const notificationSenders = {
+  email: emailTransporter ? (payload) => emailTransporter.sendMail(payload) : null,
+  slack: (payload) => sendChatMessage("slack", payload),
+  discord: (payload) => sendChatMessage("discord", payload),
+  teams: (payload) => sendChatMessage("teams", payload)
+};
 
-  return {
-    id: item.guid || item.link || `${feed.id}-${item.pubDate || item.isoDate || item.title}`,
-    provider: feed.provider,
-    source: feed.name,
-    title: item.title || "Untitled incident",
-    summary,
-    status,
-    severity,
-    link: item.link,
-    publishedAt: item.isoDate || item.pubDate || null
-  };
-}
+let refreshInFlight = null;
 
 async function refreshCache() {
   if (refreshInFlight) return refreshInFlight;
 
   refreshInFlight = (async () => {
-    const results = await Promise.allSettled(
-      FEEDS.map(async (feed) => {
-        const parsed = await parser.parseURL(feed.url);
-        const items = (parsed.items || []).map((item) => mapItem(item, feed));
-        return { feed, items };
-      })
-    );
+    try {
+      await loadFeeds(pool);
+      pruneFeedStates(listFeeds().map((feed) => feed.id));
+      loadRules();
+      const feeds = getEnabledFeeds();
+
+      const now = Date.now();
+      const results = await Promise.allSettled(
+        feeds.map(async (feed) => {
+          // Feeds with an open circuit resolve immediately with their last good items
+          if (!shouldAttempt(feed, now)) {
+            return { feed, items: getLastItems(feed), skipped: true };
+          }
+
+          const startedAt = Date.now();
+          try {
+            const result = await fetchFeed(feed, getConditions(feed));
+            return { feed, items: recordSuccess(feed, result, Date.now() - startedAt) };
+          } catch (error) {
+            recordFailure(feed, error, Date.now() - startedAt);
+            throw error;
+          }
+        })
+      );
 
-    const providerMap = new Map();
-    const errors = [];
+      const providerMap = new Map();
+      const errors = [];
+      const previousById = new Map(flattenItems(cache).map((item) => [item.id, item]));
 
-    results.forEach((result, index) => {
-      const feed = FEEDS[index];
-      if (result.status === "fulfilled") {
-        const { items } = result.value;
+      results.forEach((result, index) => {
+        const feed = feeds[index];
+        // A failing feed keeps showing what it last returned rather than vanishing
+        const items = result.status === "fulfilled" ? result.value.items : getLastItems(feed);
         if (!providerMap.has(feed.provider)) {
           providerMap.set(feed.provider, []);
         }
-        providerMap.get(feed.provider).push(...items);
-      } else {
-        errors.push({
-          provider: feed.provider,
-          source: feed.name,
-          message: result.reason?.message || "Failed to load feed"
-        });
-      }
-    });
+        providerMap.get(feed.provider).push(
+          ...items.map((item) => withUpdateCount(item, previousById.get(item.id)))
+        );
+
+        if (result.status === "rejected") {
+          errors.push({
+            provider: feed.provider,
+            source: feed.name,
+            message: result.reason?.message || "Failed to load feed"
+          });
+        } else if (result.value.skipped) {
+          const state = describeFeedState(feed, now);
+          errors.push({
+            provider: feed.provider,
+            source: feed.name,
+            message: `Paused after ${state.consecutiveFailures} failures (${state.lastError}), next attempt at ${state.nextAttemptAt}`
+          });
+        }
+      });
 
-    const providers = Array.from(providerMap.entries()).map(([provider, items]) => {
-      const sorted = items.sort((a, b) => {
-        const aSeverity = getSeverityPriority(a.severity);
-        const bSeverity = getSeverityPriority(b.severity);
-        if (aSeverity !== bSeverity) return aSeverity - bSeverity;
+      const groupIds = await loadGroupIds(Array.from(providerMap.values()).flat());
+      const providers = Array.from(providerMap.entries()).map(([provider, items]) => {
+        const sorted = correlateIncidents(items, { groupIds }).sort((a, b) => {
+          const aSeverity = severityRank(a.severity);
+          const bSeverity = severityRank(b.severity);
+          if (aSeverity !== bSeverity) return aSeverity - bSeverity;
         
-        const aTime = a.publishedAt ? Date.parse(a.publishedAt) : 0;
-        const bTime = b.publishedAt ? Date.parse(b.publishedAt) : 0;
-        return bTime - aTime;
-      });
+          const aTime = a.publishedAt ? Date.parse(a.publishedAt) : 0;
+          const bTime = b.publishedAt ? Date.parse(b.publishedAt) : 0;
+          return bTime - aTime;
+        });
 
-      return {
-        provider,
-        incidents: sorted
+        return {
+          provider,
+          incidents: sorted
+        };
+      }).filter((provider) => provider.incidents.length > 0);
+
+      const nextCache = {
+        updatedAt: Date.now(),
+        providers,
+        errors,
+        sources: feeds.map((feed) => describeFeedState(feed))
       };
-    });
 
-    const nextCache = {
-      updatedAt: Date.now(),
-      providers,
-      errors
-    };
+      if (ENABLE_NOTIFICATIONS) {
+        await notifyOnNewIncidents(nextCache).catch((error) => {
+          console.warn("Failed to queue chat notifications", error);
+        });
+      }
 
-    if (ENABLE_NOTIFICATIONS) {
-      await notifyOnNewIncidents(cache, nextCache);
-    }
+      if (ENABLE_EMAIL_NOTIFICATIONS) {
+        await notifyOnNewIncidentsByEmail(nextCache).catch((error) => {
+          console.warn("Failed to queue email notifications", error);
+        });
+      }
 
-    if (ENABLE_EMAIL_NOTIFICATIONS) {
-      await notifyOnNewIncidentsByEmail(cache, nextCache);
-    }
+      const previousCache = cache.updatedAt
+        ? cache
+        : await loadStoredSnapshot(flattenItems(nextCache), groupIds);
+      cache = nextCache;
 
-    cache = nextCache;
+      // The database knows about revisions from before this process started
+      const storedCounts = await saveIncidentsToDatabase(nextCache);
+      flattenItems(nextCache).forEach((item) => {
+        if (storedCounts.has(item.id)) {
+          item.updateCount = storedCounts.get(item.id);
+        }
+      });
+      flattenIncidents(nextCache).forEach((incident) => {
+        incident.updateCount = incident.children.reduce((total, item) => total + item.updateCount, 0);
+      });
 
-    await saveIncidentsToDatabase(nextCache);
+      const changes = diffSnapshots(previousCache, nextCache);
+      publishChanges(changes, nextCache);
 
-    refreshInFlight = null;
-    return cache;
+      await enqueueWebhookEvents(pool, changes).catch((error) => {
+        console.warn("Failed to queue webhook deliveries", error);
+      });
+      processWebhookDeliveries(pool);
+
+      return cache;
+    } finally {
+      refreshInFlight = null;
+    }
   })();
 
   return refreshInFlight;
 }
 
+// Which correlated incident each item belonged to last time, so incidents keep
+// their ids. After a restart the stored group_id stands in for the last snapshot.
+async function loadGroupIds(items) {
+  const groupIds = new Map();
+  flattenIncidents(cache).forEach((incident) => {
+    (incident.children || [incident]).forEach((item) => groupIds.set(item.id, incident.id));
+  });
+  if (groupIds.size > 0 || !pool || items.length === 0) return groupIds;
+
+  try {
+    const result = await pool.query(
+      "SELECT id, group_id FROM incidents WHERE id = ANY($1) AND group_id IS NOT NULL",
+      [items.map((item) => item.id)]
+    );
+    result.rows.forEach((row) => groupIds.set(row.id, row.group_id));
+  } catch (error) {
+    console.warn("Failed to load incident group ids", error);
+  }
+  return groupIds;
+}
+
+// After a restart there is no previous snapshot in memory, so the stored rows
+// of the items in the feeds stand in for it, grouped as they were. That way
+// changes made while this process was down are still reported. Must run
+// before the new snapshot is saved.
+async function loadStoredSnapshot(items, groupIds) {
+  const snapshot = { updatedAt: 0, providers: [] };
+  if (!pool || items.length === 0) return snapshot;
+
+  try {
+    const { rows } = await pool.query(
+      `SELECT
+        i.id, i.provider, i.source, i.title, i.summary, i.status, i.severity, i.link,
+        i.services, i.regions, i.published_at, COUNT(u.id)::int AS update_count
+      FROM incidents i
+      LEFT JOIN incident_updates u ON u.incident_id = i.id
+      WHERE i.id = ANY($1)
+      GROUP BY i.id`,
+      [items.map((item) => item.id)]
+    );
+
+    const providerMap = new Map();
+    rows.forEach((row) => {
+      const item = {
+        id: row.id,
+        provider: row.provider,
+        source: row.source,
+        title: row.title,
+        summary: row.summary,
+        status: row.status,
+        severity: row.severity,
+        link: row.link,
+        services: row.services,
+        regions: row.regions,
+        publishedAt: row.published_at ? row.published_at.toISOString() : null,
+        updateCount: Math.max(1, row.update_count)
+      };
+      providerMap.set(row.provider, [...(providerMap.get(row.provider) || []), item]);
+    });
+    snapshot.providers = Array.from(providerMap, ([provider, providerItems]) => ({
+      provider,
+      incidents: correlateIncidents(providerItems, { groupIds })
+    }));
+  } catch (error) {
+    console.warn("Failed to load the stored incident snapshot", error);
+  }
+  return snapshot;
+}
+
+// Counts revisions seen by this process; replaced by the stored count once saved
+function withUpdateCount(item, previous) {
+  if (!previous) {
+    return { ...item, updateCount: Math.max(1, item.updates?.length || 0) };
+  }
+
+  const changed =
+    previous.status !== item.status ||
+    previous.severity !== item.severity ||
+    previous.summary !== item.summary;
+
+  return { ...item, updateCount: (previous.updateCount || 1) + (changed ? 1 : 0) };
+}
+
+function publishChanges({ created, updated, resolved, removed }, nextSnapshot) {
+  created.forEach((change) => publishEvent("incident.created", change));
+  updated.forEach((change) => publishEvent("incident.updated", change));
+  resolved.forEach((change) => publishEvent("incident.resolved", change));
+  removed.forEach((change) => publishEvent("incident.removed", change));
+
+  publishEvent("cache.refreshed", {
+    updatedAt: nextSnapshot.updatedAt,
+    errors: nextSnapshot.errors,
+    sources: nextSnapshot.sources
+  });
+}
+
 async function getCache() {
   const isStale = Date.now() - cache.updatedAt > CACHE_TTL_MS;
   if (isStale && !refreshInFlight) {
@@ -256,13 +408,13 @@ app.use(cors());
 app.use(express.json());
 
 app.get("/api/health", (_req, res) => {
-  res.json({ status: "ok", updatedAt: cache.updatedAt });
+  res.json({ status: "ok", updatedAt: cache.updatedAt, streamClients: getStreamClientCount() });
 });
 
-app.get("/api/incidents", async (_req, res) => {
+app.get("/api/incidents", async (req, res) => {
   try {
     const data = await getCache();
-    res.json(data);
+    res.json(filterSnapshot(data, req.query));
   } catch (error) {
     res.status(500).json({
       updatedAt: cache.updatedAt,
@@ -284,33 +436,19 @@ app.get("/api/incidents/history", async (req, res) => {
     });
   }
 
-  try {
-    const days = Math.max(1, Math.min(90, parseInt(req.query.days) || 7));
-    const limit = Math.max(1, Math.min(1000, parseInt(req.query.limit) || 200));
-    const severity = req.query.severity;
-
-    let query = `
-      SELECT 
-        id, provider, source, title, summary, status, severity, link,
-        published_at, first_seen_at, last_updated_at
-      FROM incidents
-      WHERE published_at >= NOW() - INTERVAL '${days} days'
-    `;
-
-    const params = [];
-    if (severity && ['critical', 'high', 'medium', 'low'].includes(severity)) {
-      query += ` AND severity = $1`;
-      params.push(severity);
-    }
-
-    query += ` ORDER BY published_at DESC LIMIT ${limit}`;
+  const { filters, error: filterError } = parseHistoryFilters(req.query);
+  if (filterError) {
+    return res.status(400).json({ incidents: [], message: filterError });
+  }
 
-    const result = await pool.query(query, params);
+  try {
+    const { incidents, nextCursor } = await queryHistoryPage(pool, filters);
     
     res.json({ 
-      incidents: result.rows,
-      days,
-      count: result.rows.length
+      incidents,
+      days: filters.days,
+      count: incidents.length,
+      nextCursor
     });
   } catch (error) {
     console.error("Failed to load history:", error);
@@ -321,10 +459,403 @@ app.get("/api/incidents/history", async (req, res) => {
   }
 });
 
+app.get("/api/incidents/export", async (req, res) => {
+  if (!pool) {
+    return res.status(503).json({ error: "Database not available" });
+  }
+
+  const format = String(req.query.format || "csv").toLowerCase();
+  if (!EXPORT_FORMATS.includes(format)) {
+    return res.status(400).json({ message: `Unknown format "${format}". Use one of: ${EXPORT_FORMATS.join(", ")}.` });
+  }
+
+  const { filters, error: filterError } = parseHistoryFilters(req.query);
+  if (filterError) {
+    return res.status(400).json({ message: filterError });
+  }
+
+  try {
+    await streamExport(pool, filters, format, req, res);
+  } catch (error) {
+    console.error("Failed to export incidents:", error);
+    if (res.headersSent) {
+      // Cut the download short rather than hand over a file that looks complete
+      res.destroy(error);
+    } else {
+      res.status(500).json({ error: error?.message || "Failed to export incidents" });
+    }
+  }
+});
+
+app.get("/api/incidents/stream", (req, res) => {
+  handleStream(req, res, () => cache);
+});
+
+app.get("/api/incidents/:id", async (req, res) => {
+  const live =
+    flattenIncidents(cache).find((incident) => incident.id === req.params.id) ||
+    flattenItems(cache).find((item) => item.id === req.params.id) ||
+    null;
+
+  if (!pool) {
+    if (!live) {
+      res.status(404).json({ message: "Incident not found" });
+      return;
+    }
+    res.json({ incident: live, timeline: [] });
+    return;
+  }
+
+  // A correlated incident's timeline covers all of its member items
+  const ids = live?.children?.map((item) => item.id) || [req.params.id];
+
+  try {
+    const [incidentResult, timelineResult] = await Promise.all([
+      pool.query(
+        `SELECT
+          id, provider, source, title, summary, status, severity, link,
+          services, regions, published_at, first_seen_at, last_updated_at
+        FROM incidents
+        WHERE id = $1`,
+        [req.params.id]
+      ),
+      pool.query(
+        `SELECT
+          incident_id, previous_status, status, previous_severity, severity, summary, recorded_at
+        FROM incident_updates
+        WHERE incident_id = ANY($1)
+        ORDER BY recorded_at ASC, id ASC`,
+        [ids]
+      )
+    ]);
+
+    const stored = incidentResult.rows[0];
+    if (!stored && !live) {
+      res.status(404).json({ message: "Incident not found" });
+      return;
+    }
+
+    res.json({
+      incident: live || { ...stored, updateCount: timelineResult.rows.length },
+      timeline: timelineResult.rows
+    });
+  } catch (error) {
+    console.error("Failed to load incident:", error);
+    res.status(500).json({ message: error?.message || "Failed to load incident" });
+  }
+});
+
+app.post("/api/classify/dry-run", (req, res) => {
+  const title = String(req.body?.title || "");
+  const summary = String(req.body?.summary || "");
+  if (!title && !summary) {
+    res.status(400).json({ message: "Provide a title and/or summary" });
+    return;
+  }
+
+  res.json(explainClassification({
+    title,
+    summary,
+    provider: String(req.body?.provider || "")
+  }));
+});
+
+// The stats endpoints share the history filters plus interval/groupBy
+function statsRoute(compute, queryOptions) {
+  return async (req, res) => {
+    if (!pool) {
+      return res.status(503).json({ error: "Database not available" });
+    }
+
+    const { filters, options, error: queryError } = parseStatsQuery(req.query, queryOptions);
+    if (queryError) {
+      return res.status(400).json({ message: queryError });
+    }
+
+    try {
+      res.json(await compute(filters, options));
+    } catch (error) {
+      console.error("Failed to compute stats:", error);
+      res.status(500).json({ error: error?.message || "Failed to compute stats" });
+    }
+  };
+}
+
+app.get("/api/stats/trends", statsRoute((filters, options) => getTrends(pool, filters, options)));
+
+app.get("/api/stats/resolution", statsRoute((filters) => getResolutionTimes(pool, filters)));
+
+app.get("/api/stats/open", statsRoute((filters) => getLongestOpen(pool, filters)));
+
+app.get("/api/stats/providers", statsRoute((filters) => getProviderSummary(pool, filters)));
+
+app.get(
+  "/api/stats/availability",
+  statsRoute(
+    (filters, options) =>
+      getAvailability(pool, filters, {
+        groupBy: options.groupBy,
+        providers: Array.from(new Set(getEnabledFeeds().map((feed) => feed.provider)))
+      }),
+    { groups: ["provider", "service"] }
+  )
+);
+
+app.get("/api/feeds", (_req, res) => {
+  res.json({ feeds: listFeeds() });
+});
+
+app.get("/api/feeds/health", (_req, res) => {
+  res.json({
+    updatedAt: cache.updatedAt,
+    sources: listFeeds().map((feed) => ({
+      ...describeFeedState(feed),
+      enabled: feed.enabled
+    }))
+  });
+});
+
+app.post("/api/feeds", requireAdmin, async (req, res) => {
+  const { feed, error } = validateFeed(req.body);
+  if (error) {
+    res.status(400).json({ message: error });
+    return;
+  }
+
+  if (getFeed(feed.id)) {
+    res.status(409).json({ message: `Feed ${feed.id} already exists` });
+    return;
+  }
+
+  try {
+    res.status(201).json(await createFeed(pool, feed));
+  } catch (err) {
+    console.error("Failed to create feed:", err);
+    res.status(500).json({ message: err?.message || "Failed to create feed" });
+  }
+});
+
+app.patch("/api/feeds/:id", requireAdmin, async (req, res) => {
+  const { id: _id, ...changes } = req.body || {};
+  const { feed, error } = validateFeed(changes, { partial: true });
+  if (error) {
+    res.status(400).json({ message: error });
+    return;
+  }
+
+  try {
+    const updated = await updateFeed(pool, req.params.id, feed);
+    if (!updated) {
+      res.status(404).json({ message: "Feed not found" });
+      return;
+    }
+    res.json(updated);
+  } catch (err) {
+    console.error("Failed to update feed:", err);
+    res.status(500).json({ message: err?.message || "Failed to update feed" });
+  }
+});
+
+app.delete("/api/feeds/:id", requireAdmin, async (req, res) => {
+  try {
+    const deleted = await deleteFeed(pool, req.params.id);
+    if (!deleted) {
+      res.status(404).json({ message: "Feed not found" });
+      return;
+    }
+    res.status(204).end();
+  } catch (err) {
+    console.error("Failed to delete feed:", err);
+    res.status(500).json({ message: err?.message || "Failed to delete feed" });
+  }
+});
+
+// Webhooks and the notification outbox live in the database only
+function requireDatabase(_req, res, next) {
+  if (!pool) {
+    res.status(503).json({ message: "This endpoint needs DATABASE_URL to be set." });
+    return;
+  }
+  next();
+}
+
+function numericId(req) {
+  const id = Number(req.params.id);
+  return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+app.get("/api/webhooks", requireAdmin, requireDatabase, async (_req, res) => {
+  try {
+    res.json({ webhooks: await listWebhooks(pool) });
+  } catch (err) {
+    console.error("Failed to list webhooks:", err);
+    res.status(500).json({ message: err?.message || "Failed to list webhooks" });
+  }
+});
+
+app.post("/api/webhooks", requireAdmin, requireDatabase, async (req, res) => {
+  const { webhook, error } = validateWebhook(req.body);
+  if (error) {
+    res.status(400).json({ message: error });
+    return;
+  }
+
+  try {
+    res.status(201).json(await createWebhook(pool, webhook));
+  } catch (err) {
+    console.error("Failed to create webhook:", err);
+    res.status(500).json({ message: err?.message || "Failed to create webhook" });
+  }
+});
+
+app.get("/api/webhooks/:id", requireAdmin, requireDatabase, async (req, res) => {
+  try {
+    const webhook = numericId(req) && (await getWebhook(pool, numericId(req)));
+    if (!webhook) {
+      res.status(404).json({ message: "Webhook not found" });
+      return;
+    }
+    res.json(webhook);
+  } catch (err) {
+    console.error("Failed to load webhook:", err);
+    res.status(500).json({ message: err?.message || "Failed to load webhook" });
+  }
+});
+
+app.patch("/api/webhooks/:id", requireAdmin, requireDatabase, async (req, res) => {
+  const { webhook, error } = validateWebhook(req.body, { partial: true });
+  if (error) {
+    res.status(400).json({ message: error });
+    return;
+  }
+
+  try {
+    const updated = numericId(req) && (await updateWebhook(pool, numericId(req), webhook));
+    if (!updated) {
+      res.status(404).json({ message: "Webhook not found" });
+      return;
+    }
+    res.json(updated);
+  } catch (err) {
+    console.error("Failed to update webhook:", err);
+    res.status(500).json({ message: err?.message || "Failed to update webhook" });
+  }
+});
+
+app.delete("/api/webhooks/:id", requireAdmin, requireDatabase, async (req, res) => {
+  try {
+    const deleted = numericId(req) && (await deleteWebhook(pool, numericId(req)));
+    if (!deleted) {
+      res.status(404).json({ message: "Webhook not found" });
+      return;
+    }
+    res.status(204).end();
+  } catch (err) {
+    console.error("Failed to delete webhook:", err);
+    res.status(500).json({ message: err?.message || "Failed to delete webhook" });
+  }
+});
+
+app.get("/api/webhooks/:id/deliveries", requireAdmin, requireDatabase, async (req, res) => {
+  try {
+    const webhook = numericId(req) && (await getWebhook(pool, numericId(req)));
+    if (!webhook) {
+      res.status(404).json({ message: "Webhook not found" });
+      return;
+    }
+    const deliveries = await listDeliveries(pool, webhook.id, {
+      status: req.query.status,
+      limit: req.query.limit
+    });
+    res.json({ deliveries });
+  } catch (err) {
+    console.error("Failed to list webhook deliveries:", err);
+    res.status(500).json({ message: err?.message || "Failed to list webhook deliveries" });
+  }
+});
+
+app.post("/api/webhooks/:id/deliveries/:deliveryId/redeliver", requireAdmin, requireDatabase, async (req, res) => {
+  const deliveryId = Number(req.params.deliveryId);
+  try {
+    const delivery =
+      numericId(req) && Number.isInteger(deliveryId) && (await redeliver(pool, numericId(req), deliveryId));
+    if (!delivery) {
+      res.status(404).json({ message: "Delivery not found" });
+      return;
+    }
+    processWebhookDeliveries(pool);
+    res.status(202).json(delivery);
+  } catch (err) {
+    console.error("Failed to redeliver webhook:", err);
+    res.status(500).json({ message: err?.message || "Failed to redeliver webhook" });
+  }
+});
+
+// Webhook URLs are left out, since they are secrets
+app.get("/api/notifications/routes", requireAdmin, (_req, res) => {
+  res.json({
+    routes: loadRoutes().map(({ name, channel, providers, severities, minSeverity, statuses, services }) => ({
+      name,
+      channel,
+      match: { providers, severities, minSeverity, statuses, services }
+    })),
+    defaults: CHAT_CHANNELS.filter((channel) => CHAT_WEBHOOK_URLS[channel])
+  });
+});
+
+app.get("/api/notifications/outbox", requireAdmin, requireDatabase, async (req, res) => {
+  const { status, channel } = req.query;
+  if (status && !NOTIFICATION_STATUSES.includes(status)) {
+    res.status(400).json({ message: `Unknown status "${status}". Use any of: ${NOTIFICATION_STATUSES.join(", ")}` });
+    return;
+  }
+  if (channel && !NOTIFICATION_CHANNELS.includes(channel)) {
+    res.status(400).json({ message: `Unknown channel "${channel}". Use any of: ${NOTIFICATION_CHANNELS.join(", ")}` });
+    return;
+  }
+
+  try {
+    res.json({ jobs: await listNotificationJobs(pool, { status, channel, limit: req.query.limit }) });
+  } catch (err) {
+    console.error("Failed to list notification jobs:", err);
+    res.status(500).json({ message: err?.message || "Failed to list notification jobs" });
+  }
+});
+
+app.get("/api/notifications/outbox/:id", requireAdmin, requireDatabase, async (req, res) => {
+  try {
+    const job = numericId(req) && (await getNotificationJob(pool, numericId(req)));
+    if (!job) {
+      res.status(404).json({ message: "Notification not found" });
+      return;
+    }
+    res.json(job);
+  } catch (err) {
+    console.error("Failed to load notification job:", err);
+    res.status(500).json({ message: err?.message || "Failed to load notification job" });
+  }
+});
+
+app.post("/api/notifications/outbox/:id/retry", requireAdmin, requireDatabase, async (req, res) => {
+  try {
+    const job = numericId(req) && (await retryNotificationJob(pool, numericId(req)));
+    if (!job) {
+      res.status(404).json({ message: "No failed notification with that id" });
+      return;
+    }
+    processNotificationOutbox(pool, notificationSenders);
+    res.status(202).json(job);
+  } catch (err) {
+    console.error("Failed to retry notification job:", err);
+    res.status(500).json({ message: err?.message || "Failed to retry notification job" });
+  }
+});
+
 app.get("/api/subscriptions/email", (_req, res) => {
-  res.json({ count: subscriberEmails.size });
+  res.json({ count: confirmedSubscribers().length });
 });
 
+// Always answers the same way, so it can't be used to find out who is subscribed
 app.post("/api/subscriptions/email", async (req, res) => {
   const email = (req.body?.email || "").toLowerCase().trim();
   if (!isValidEmail(email)) {
@@ -332,14 +863,65 @@ app.post("/api/subscriptions/email", async (req, res) => {
     return;
   }
 
-  await addSubscriber(email);
-  res.status(201).json({ email, subscribed: true });
+  if (!emailTransporter) {
+    res.status(503).json({ message: "Email alerts are not enabled on this server." });
+    return;
+  }
+
+  try {
+    const { preferences, error } = validatePreferences(req.body?.preferences);
+    if (error) {
+      res.status(400).json({ message: error });
+      return;
+    }
+
+    const links = subscriptionLinks(email, publicUrl(req));
+    const subscriber = subscribers.get(email);
+    // Repeats within the interval get nothing more; the email already sent covers them
+    if (claimSignupEmail(email)) {
+      if (subscriber?.status === "confirmed") {
+        await dispatchNotifications([emailJob(email, alreadySubscribedEmail(email, links), links)]);
+      } else {
+        // Anyone can post any address, so a repeat doesn't get to change what
+        // a pending sign-up asked for; that waits until someone confirms
+        await saveSubscriber(email, { status: "pending", preferences: subscriber?.preferences || preferences });
+        await dispatchNotifications([emailJob(email, confirmationEmail(email, links))]);
+      }
+    }
+    res.status(202).json({ email, message: "Check your inbox for a link to confirm your subscription." });
+  } catch (err) {
+    console.error("Failed to start subscription:", err);
+    res.status(500).json({ message: "Failed to send the confirmation email" });
+  }
 });
 
-app.delete("/api/subscriptions/email", async (req, res) => {
-  const email = (req.body?.email || "").toLowerCase().trim();
-  if (!isValidEmail(email)) {
-    res.status(400).json({ message: "Invalid email address" });
+app.get("/api/subscriptions/email/confirm", async (req, res) => {
+  const email = verifySubscriptionToken(SUBSCRIPTION_SECRET, req.query.token, "confirm");
+  const subscriber = email && subscribers.get(email);
+  if (!subscriber) {
+    res.redirect("/?subscription=invalid");
+    return;
+  }
+
+  if (subscriber.status !== "confirmed") {
+    await saveSubscriber(email, { ...subscriber, status: "confirmed" });
+    processDigests();
+  }
+  const manage = createSubscriptionToken(SUBSCRIPTION_SECRET, email, "manage");
+  res.redirect(`/?subscription=confirmed&manage=${manage}`);
+});
+
+// Links in email bodies land on a page that asks before unsubscribing, so
+// mail scanners that follow links can't unsubscribe anyone
+app.get("/api/subscriptions/email/unsubscribe", (req, res) => {
+  res.redirect(`/?unsubscribe=${encodeURIComponent(String(req.query.token || ""))}`);
+});
+
+// One-click unsubscribe (RFC 8058) posts here with the token in the URL
+app.post("/api/subscriptions/email/unsubscribe", async (req, res) => {
+  const email = verifySubscriptionToken(SUBSCRIPTION_SECRET, req.query.token || req.body?.token, "unsubscribe");
+  if (!email) {
+    res.status(400).json({ message: "This unsubscribe link is invalid or has expired." });
     return;
   }
 
@@ -347,6 +929,169 @@ app.delete("/api/subscriptions/email", async (req, res) => {
   res.json({ email, subscribed: false });
 });
 
+function managedSubscriber(token) {
+  const email = verifySubscriptionToken(SUBSCRIPTION_SECRET, token, "manage");
+  return email && subscribers.has(email) ? { email, ...subscribers.get(email) } : null;
+}
+
+app.get("/api/subscriptions/email/preferences", (req, res) => {
+  const subscriber = managedSubscriber(req.query.token);
+  if (!subscriber) {
+    res.status(404).json({ message: "This link is invalid or has expired, or the subscription no longer exists." });
+    return;
+  }
+
+  res.json({ email: subscriber.email, status: subscriber.status, preferences: subscriber.preferences });
+});
+
+app.put("/api/subscriptions/email/preferences", async (req, res) => {
+  const subscriber = managedSubscriber(req.body?.token);
+  if (!subscriber) {
+    res.status(404).json({ message: "This link is invalid or has expired, or the subscription no longer exists." });
+    return;
+  }
+
+  try {
+    const { preferences, error } = validatePreferences(req.body?.preferences, subscriber.preferences);
+    if (error) {
+      res.status(400).json({ message: error });
+      return;
+    }
+
+    await saveSubscriber(subscriber.email, { status: subscriber.status, preferences });
+    processDigests();
+    res.json({ email: subscriber.email, status: subscriber.status, preferences });
+  } catch (err) {
+    console.error("Failed to update subscription preferences:", err);
+    res.status(500).json({ message: "Failed to update subscription preferences" });
+  }
+});
+
+app.get("/api/digests/preview", requireDatabase, async (req, res) => {
+  // A manage token previews that subscriber's digest; otherwise filters come from the query
+  let preferences;
+  let links = null;
+  if (req.query.token) {
+    const subscriber = managedSubscriber(req.query.token);
+    if (!subscriber) {
+      res.status(404).json({ message: "This link is invalid or has expired, or the subscription no longer exists." });
+      return;
+    }
+    preferences = subscriber.preferences;
+    links = subscriptionLinks(subscriber.email, publicUrl(req));
+  } else {
+    const { providers, minSeverity, keywords, services } = req.query;
+    const result = validatePreferences({ providers, minSeverity, keywords, services });
+    if (result.error) {
+      res.status(400).json({ message: result.error });
+      return;
+    }
+    preferences = result.preferences;
+  }
+
+  const defaultPeriod = DIGEST_PERIODS.includes(preferences.delivery) ? preferences.delivery : "daily";
+  const period = String(req.query.period || defaultPeriod).toLowerCase();
+  if (!DIGEST_PERIODS.includes(period)) {
+    res.status(400).json({ message: `Unknown period "${period}". Use one of: ${DIGEST_PERIODS.join(", ")}.` });
+    return;
+  }
+
+  try {
+    const digest = await buildDigest(pool, period, preferences, { hour: DIGEST_HOUR });
+    if (req.query.format === "text") {
+      res.type("text/plain").send(`${digestSubject(digest)}\n\n${renderDigestText(digest)}\n`);
+      return;
+    }
+    if (req.query.format === "html") {
+      res.type("html").send(digestEmail(digest, links).html);
+      return;
+    }
+    res.json({ ...digest, subject: digestSubject(digest), text: renderDigestText(digest) });
+  } catch (err) {
+    console.error("Failed to build digest preview:", err);
+    res.status(500).json({ message: err?.message || "Failed to build digest preview" });
+  }
+});
+
+// Renders a template with sample incidents, so changes can be reviewed
+// without sending mail
+app.get("/api/emails/preview/:template", requireLocalOrAdmin, (req, res) => {
+  const { template } = req.params;
+  if (!EMAIL_TEMPLATES.includes(template)) {
+    res.status(404).json({ message: `Unknown template "${template}". Use one of: ${EMAIL_TEMPLATES.join(", ")}.` });
+    return;
+  }
+
+  const format = req.query.format || "html";
+  if (!["html", "text", "json"].includes(format)) {
+    res.status(400).json({ message: "format must be one of: html, text, json" });
+    return;
+  }
+
+  const email = sampleEmail(template, subscriptionLinks("you@example.com", publicUrl(req)));
+  if (format === "html") {
+    res.type("html").send(email.html);
+    return;
+  }
+  if (format === "text") {
+    res.type("text/plain").send(`Subject: ${email.subject}\n\n${email.text}\n`);
+    return;
+  }
+  res.json(email);
+});
+
+function publicUrl(req) {
+  return PUBLIC_URL || `${req.protocol}://${req.get("host")}`;
+}
+
+function serveFeed(req, res, { title, provider, severity }) {
+  const { format } = req.params;
+  if (!FEED_FORMATS[format]) {
+    return res.status(404).json({ message: `Unknown feed format "${format}". Use .atom or .json.` });
+  }
+
+  const baseUrl = publicUrl(req);
+  const snapshot = filterSnapshot(cache, { service: req.query.service, region: req.query.region });
+  const feed = {
+    title,
+    selfUrl: `${baseUrl}${req.originalUrl}`,
+    homeUrl: `${baseUrl}/`,
+    updatedAt: cache.updatedAt,
+    incidents: selectEntries(flattenIncidents(snapshot), { provider, severity })
+  };
+
+  res.set("Cache-Control", "public, max-age=60");
+  res.type(FEED_FORMATS[format]);
+  // Express answers If-None-Match with a 304 from the body's ETag
+  res.send(format === "atom" ? buildAtomFeed(feed) : JSON.stringify(buildJsonFeed(feed)));
+}
+
+app.get("/feeds/all.:format", (req, res) => {
+  serveFeed(req, res, { title: "Watch Sys: all incidents" });
+});
+
+app.get("/feeds/provider/:provider.:format", (req, res) => {
+  const known = new Set([
+    ...getEnabledFeeds().map((feed) => feed.provider),
+    ...(cache.providers || []).map((entry) => entry.provider)
+  ]);
+  const provider = Array.from(known).find((name) => name.toLowerCase() === req.params.provider.toLowerCase());
+  if (!provider) {
+    return res.status(404).json({ message: `Unknown provider "${req.params.provider}"` });
+  }
+
+  serveFeed(req, res, { title: `Watch Sys: ${provider} incidents`, provider });
+});
+
+app.get("/feeds/severity/:severity.:format", (req, res) => {
+  const severity = req.params.severity.toLowerCase();
+  if (!FEED_SEVERITIES.includes(severity)) {
+    return res.status(404).json({ message: `Unknown severity "${req.params.severity}". Use one of: ${FEED_SEVERITIES.join(", ")}.` });
+  }
+
+  serveFeed(req, res, { title: `Watch Sys: ${severity} and worse`, severity });
+});
+
 if (process.env.NODE_ENV === "production") {
   app.use(express.static(clientDistPath));
   app.get("*", (_req, res) => {
@@ -354,12 +1099,30 @@ if (process.env.NODE_ENV === "production") {
   });
 }
 
-refreshCache().catch(() => null);
 setInterval(() => {
   refreshCache().catch(() => null);
 }, CACHE_TTL_MS);
 
-initDatabase().then(() => loadSubscribers());
+// Picks up webhook and notification retries, and held alerts, as they come due
+setInterval(() => {
+  processWebhookDeliveries(pool);
+  processNotificationOutbox(pool, notificationSenders);
+  if (ENABLE_NOTIFICATIONS || ENABLE_EMAIL_NOTIFICATIONS) {
+    releaseAlerts().catch((error) => console.warn("Failed to release held alerts", error));
+  }
+}, RETRY_POLL_MS);
+
+setInterval(() => {
+  processDigests();
+}, DIGEST_CHECK_MS);
+
+// The first refresh waits for the database so it sees feeds stored there
+initDatabase()
+  .then(() => loadSubscribers())
+  .finally(() => {
+    refreshCache().catch(() => null);
+    processDigests();
+  });
 
 app.listen(PORT, () => {
   console.log(`Status proxy running on port ${PORT}`);
@@ -369,22 +1132,55 @@ function flattenIncidents(snapshot) {
   return (snapshot.providers || []).flatMap((provider) => provider.incidents || []);
 }
 
-function rememberIncident(id) {
-  if (!id) return;
-  sentIncidentIds.add(id);
-  if (sentIncidentIds.size > MAX_SENT_IDS) {
-    const [first] = sentIncidentIds;
-    sentIncidentIds.delete(first);
+// The raw feed items behind the correlated incidents
+function flattenItems(snapshot) {
+  return flattenIncidents(snapshot).flatMap((incident) => incident.children || [incident]);
+}
+
+// Narrows a cache snapshot to incidents affecting a service and/or region
+function filterSnapshot(snapshot, { service, region } = {}) {
+  if (!service && !region) return snapshot;
+
+  const serviceName = service ? resolveService(service).toLowerCase() : null;
+  const regionCode = region ? resolveRegion(region) : null;
+
+  const providers = (snapshot.providers || [])
+    .map((provider) => ({
+      ...provider,
+      incidents: (provider.incidents || []).filter(
+        (incident) =>
+          (!serviceName ||
+            (incident.services || []).some((name) => name.toLowerCase() === serviceName)) &&
+          (!regionCode || (incident.regions || []).includes(regionCode))
+      )
+    }))
+    .filter((provider) => provider.incidents.length > 0);
+
+  return { ...snapshot, providers };
+}
+
+function requireAdmin(req, res, next) {
+  if (!ADMIN_TOKEN) {
+    res.status(403).json({ message: "Admin API is disabled. Set ADMIN_TOKEN to enable it." });
+    return;
+  }
+
+  const header = req.get("authorization") || "";
+  if (header !== `Bearer ${ADMIN_TOKEN}`) {
+    res.status(401).json({ message: "Unauthorized" });
+    return;
   }
+
+  next();
 }
 
-function buildIncidentLines(incidents) {
-  return incidents
-    .map(
-      (incident) =>
-        `• ${incident.provider}: ${incident.title} (${incident.status}) ${incident.link || ""}`
-    )
-    .join("\n");
+// Development helpers are open locally and need the admin token in production
+function requireLocalOrAdmin(req, res, next) {
+  if (process.env.NODE_ENV !== "production") {
+    next();
+    return;
+  }
+  requireAdmin(req, res, next);
 }
 
 function isValidEmail(email) {
@@ -450,6 +1246,8 @@ async function initDatabase() {
         "INSERT INTO schema_migrations (name) VALUES ('001_initial_schema.js') ON CONFLICT DO NOTHING"
       );
     }
+
+    await applyPendingMigrations();
     
     console.log("Database initialized");
   } catch (error) {
@@ -457,28 +1255,88 @@ async function initDatabase() {
   }
 }
 
+// Same bookkeeping as `npm run migrate up`, so a deploy doesn't need a separate step
+async function applyPendingMigrations() {
+  const migrationsDir = path.join(__dirname, "migrations");
+  const files = fs.readdirSync(migrationsDir)
+    .filter((file) => file.endsWith(".js"))
+    .sort();
+
+  const result = await pool.query("SELECT name FROM schema_migrations");
+  const applied = new Set(result.rows.map((row) => row.name));
+
+  for (const file of files) {
+    if (applied.has(file)) continue;
+
+    const migration = await import(path.join(migrationsDir, file));
+    await migration.up(pool);
+    await pool.query(
+      "INSERT INTO schema_migrations (name) VALUES ($1) ON CONFLICT DO NOTHING",
+      [file]
+    );
+  }
+}
+
 async function loadSubscribers() {
   if (!pool) return;
   try {
-    const result = await pool.query("SELECT email FROM subscribers");
+    // Nobody can confirm these any more
+    await pool.query(
+      "DELETE FROM subscribers WHERE status = 'pending' AND created_at < NOW() - make_interval(secs => $1)",
+      [TOKEN_TTL_MS.confirm / 1000]
+    );
+    const result = await pool.query("SELECT * FROM subscribers");
     result.rows.forEach((row) => {
       if (isValidEmail(row.email)) {
-        subscriberEmails.add(row.email);
+        subscribers.set(row.email, { status: row.status, preferences: rowToPreferences(row) });
       }
     });
-    console.log(`Loaded ${subscriberEmails.size} subscribers`);
+    console.log(`Loaded ${confirmedSubscribers().length} subscribers`);
   } catch (error) {
     console.warn("Failed to load subscribers", error);
   }
 }
 
-async function addSubscriber(email) {
-  subscriberEmails.add(email);
+function claimSignupEmail(email, now = Date.now()) {
+  signupEmailsSentAt.forEach((sentAt, address) => {
+    if (now - sentAt >= SIGNUP_EMAIL_INTERVAL_MS) signupEmailsSentAt.delete(address);
+  });
+  if (signupEmailsSentAt.has(email)) return false;
+  signupEmailsSentAt.set(email, now);
+  return true;
+}
+
+function confirmedSubscribers() {
+  return Array.from(subscribers).filter(([, subscriber]) => subscriber.status === "confirmed");
+}
+
+// A pending sign-up restarts its clock, so it isn't purged while its link works
+async function saveSubscriber(email, { status, preferences }) {
+  subscribers.set(email, { status, preferences });
   if (!pool) return;
   try {
     await pool.query(
-      "INSERT INTO subscribers (email) VALUES ($1) ON CONFLICT (email) DO NOTHING",
-      [email]
+      `INSERT INTO subscribers
+         (email, status, confirmed_at, providers, min_severity, keywords, services, status_changes, delivery)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+       ON CONFLICT (email) DO UPDATE
+       SET status = EXCLUDED.status,
+           confirmed_at = COALESCE(subscribers.confirmed_at, EXCLUDED.confirmed_at),
+           created_at = CASE WHEN EXCLUDED.status = 'pending' THEN NOW() ELSE subscribers.created_at END,
+           providers = EXCLUDED.providers, min_severity = EXCLUDED.min_severity,
+           keywords = EXCLUDED.keywords, services = EXCLUDED.services,
+           status_changes = EXCLUDED.status_changes, delivery = EXCLUDED.delivery, updated_at = NOW()`,
+      [
+        email,
+        status,
+        status === "confirmed" ? new Date() : null,
+        preferences.providers,
+        preferences.minSeverity,
+        preferences.keywords,
+        preferences.services,
+        preferences.statusChanges,
+        preferences.delivery
+      ]
     );
   } catch (error) {
     console.warn("Failed to persist subscriber", error);
@@ -486,7 +1344,7 @@ async function addSubscriber(email) {
 }
 
 async function removeSubscriber(email) {
-  subscriberEmails.delete(email);
+  subscribers.delete(email);
   if (!pool) return;
   try {
     await pool.query("DELETE FROM subscribers WHERE email = $1", [email]);
@@ -495,33 +1353,76 @@ async function removeSubscriber(email) {
   }
 }
 
+// Resolves to a Map of incident id -> number of recorded revisions
 async function saveIncidentsToDatabase(cacheSnapshot) {
-  if (!pool) return;
+  const updateCounts = new Map();
+  if (!pool) return updateCounts;
 
-  const allIncidents = flattenIncidents(cacheSnapshot);
-  if (allIncidents.length === 0) return;
+  const allIncidents = flattenItems(cacheSnapshot);
+  if (allIncidents.length === 0) return updateCounts;
 
-  const client = await pool.connect();
+  // Rows remember which correlated incident they belong to, so stats can
+  // count events rather than individual feed updates
+  const groupIds = new Map();
+  flattenIncidents(cacheSnapshot).forEach((group) => {
+    (group.children || [group]).forEach((item) => groupIds.set(item.id, group.id));
+  });
+
+  let client = null;
   try {
+    client = await pool.connect();
     await client.query('BEGIN');
     
     for (const incident of allIncidents) {
       if (!incident.id) continue;
 
       const publishedAt = incident.publishedAt ? new Date(incident.publishedAt) : null;
-
+      // Feeds that don't say when an incident was resolved get the time we noticed
+      const resolvedAt =
+        incident.status === "resolved"
+          ? incident.resolvedAt ? new Date(incident.resolvedAt) : new Date()
+          : null;
+
+      // `previous` sees the row as it was before the upsert, so a revision is
+      // recorded only for new incidents and real status/severity/summary changes
       await client.query(
-        `INSERT INTO incidents (
-          id, provider, source, title, summary, status, severity, link, published_at
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
-        ON CONFLICT (id) DO UPDATE SET
-          status = EXCLUDED.status,
-          severity = EXCLUDED.severity,
-          summary = EXCLUDED.summary,
-          last_updated_at = NOW()
-        WHERE incidents.status != EXCLUDED.status 
-           OR incidents.severity != EXCLUDED.severity
-           OR incidents.summary != EXCLUDED.summary`,
+        `WITH previous AS (
+          SELECT status, severity, summary FROM incidents WHERE id = $1
+        ), upserted AS (
+          INSERT INTO incidents (
+            id, provider, source, title, summary, status, severity, link, published_at,
+            services, regions, group_id, resolved_at
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+          ON CONFLICT (id) DO UPDATE SET
+            status = EXCLUDED.status,
+            severity = EXCLUDED.severity,
+            summary = EXCLUDED.summary,
+            services = EXCLUDED.services,
+            regions = EXCLUDED.regions,
+            group_id = EXCLUDED.group_id,
+            resolved_at = CASE
+              WHEN EXCLUDED.status = 'resolved' THEN COALESCE(incidents.resolved_at, EXCLUDED.resolved_at)
+            END,
+            last_updated_at = NOW()
+          WHERE incidents.status != EXCLUDED.status 
+             OR incidents.severity != EXCLUDED.severity
+             OR incidents.summary != EXCLUDED.summary
+             OR incidents.services != EXCLUDED.services
+             OR incidents.regions != EXCLUDED.regions
+             OR incidents.group_id IS DISTINCT FROM EXCLUDED.group_id
+          RETURNING id, status, severity, summary
+        )
+        INSERT INTO incident_updates (
+          incident_id, previous_status, status, previous_severity, severity, summary
+        )
+        SELECT upserted.id, previous.status, upserted.status,
+               previous.severity, upserted.severity, upserted.summary
+        FROM upserted
+        LEFT JOIN previous ON TRUE
+        WHERE previous.status IS NULL
+           OR previous.status != upserted.status
+           OR previous.severity != upserted.severity
+           OR previous.summary IS DISTINCT FROM upserted.summary`,
         [
           incident.id,
           incident.provider,
@@ -531,123 +1432,253 @@ async function saveIncidentsToDatabase(cacheSnapshot) {
           incident.status,
           incident.severity,
           incident.link,
-          publishedAt
+          publishedAt,
+          incident.services || [],
+          incident.regions || [],
+          groupIds.get(incident.id) || incident.id,
+          resolvedAt
         ]
       );
     }
+
+    const counts = await client.query(
+      `SELECT incident_id, COUNT(*)::int AS count
+       FROM incident_updates
+       WHERE incident_id = ANY($1)
+       GROUP BY incident_id`,
+      [allIncidents.map((incident) => incident.id).filter(Boolean)]
+    );
+    counts.rows.forEach((row) => updateCounts.set(row.incident_id, row.count));
     
     await client.query('COMMIT');
   } catch (error) {
-    await client.query('ROLLBACK');
+    if (client) await client.query('ROLLBACK').catch(() => null);
     console.warn("Failed to save incidents to database", error);
   } finally {
-    client.release();
+    client?.release();
   }
+
+  return updateCounts;
 }
 
-async function notifyOnNewIncidents(prevCache, nextCache) {
-  const previousIds = new Set(flattenIncidents(prevCache).map((item) => item.id));
-  const nextIncidents = flattenIncidents(nextCache);
+// Change detection feeds the alert policies, which decide per destination
+// what goes out now and what waits
+async function notifyOnNewIncidents(nextCache) {
+  const incidents = flattenIncidents(nextCache);
+  await dispatchClaimed(async (db) => {
+    const { created, changed, escalated } = await claimNotifications(db, "chat", incidents, {
+      statusChanges: true,
+      severityIncreases: true
+    });
 
-  const newIncidents = nextIncidents.filter(
-    (item) => item.id && !previousIds.has(item.id) && !sentIncidentIds.has(item.id)
-  );
+    const update = { newIncidents: created, statusChanges: changed, escalated, openIncidents: incidents };
+    const jobs = [];
+    for (const plan of planChatMessages(update, CHAT_WEBHOOK_URLS)) {
+      const { channel, route } = plan;
+      const target = { destination: route ? `route:${route}` : channel, channel, route };
+      const due = await applyAlertPolicy(db, target, plan);
+      if (due) jobs.push(chatJob(channel, route, due));
+    }
+    return jobs;
+  });
+}
 
-  if (newIncidents.length === 0) return;
+async function notifyOnNewIncidentsByEmail(nextCache) {
+  if (!emailTransporter) return;
 
-  newIncidents.forEach((incident) => rememberIncident(incident.id));
+  const incidents = flattenIncidents(nextCache);
+  await dispatchClaimed(async (db) => {
+    // Claimed even without subscribers, so the first one doesn't get a backlog
+    const { created, changed, escalated } = await claimNotifications(db, "email", incidents, {
+      statusChanges: true,
+      severityIncreases: true
+    });
 
-  const batch = newIncidents.slice(0, 5);
-  const summary = buildIncidentLines(batch);
+    if (!created.length && !changed.length && !escalated.length && !policyFor("email").escalateAfterMinutes) {
+      return [];
+    }
 
-  const tasks = [];
-  if (DISCORD_WEBHOOK_URL) {
-    tasks.push(
-      fetch(DISCORD_WEBHOOK_URL, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({
-          content: `New incident updates:\n${summary}`
-        })
-      })
-    );
-  }
+    // One email per subscriber, since each carries its own unsubscribe link
+    const jobs = [];
+    for (const [email, { preferences }] of confirmedSubscribers()) {
+      if (preferences.delivery !== "instant") continue;
 
-  if (TEAMS_WEBHOOK_URL) {
-    tasks.push(
-      fetch(TEAMS_WEBHOOK_URL, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({
-          text: `New incident updates:\n${summary}`
-        })
-      })
-    );
-  }
+      const matching = (list) => list.filter((incident) => matchesPreferences(preferences, incident));
+      const due = await applyAlertPolicy(
+        db,
+        { destination: `email:${email}`, channel: "email", route: null },
+        {
+          newIncidents: matching(created),
+          statusChanges: preferences.statusChanges ? matching(changed) : [],
+          escalated: matching(escalated),
+          openIncidents: matching(incidents)
+        }
+      );
+      if (due) jobs.push(subscriberAlertJob(email, due));
+    }
+    return jobs;
+  });
+}
 
-  if (tasks.length) {
-    await Promise.allSettled(tasks);
-  }
+// The route is looked up again at send time, so its webhook URL stays out of the outbox
+function chatJob(channel, route, update) {
+  const dashboardUrl = PUBLIC_URL ? `${PUBLIC_URL}/` : null;
+  return { channel, payload: { route, ...chatMessage(channel, { ...update, dashboardUrl }) } };
 }
 
-async function notifyOnNewIncidentsByEmail(prevCache, nextCache) {
-  if (!emailTransporter || subscriberEmails.size === 0) return;
+function subscriberAlertJob(email, update) {
+  const links = subscriptionLinks(email);
+  return emailJob(email, alertEmail({ ...update, links }), links);
+}
 
-  const previousMap = new Map();
-  flattenIncidents(prevCache).forEach((incident) => {
-    if (incident.id) {
-      previousMap.set(incident.id, incident);
-    }
+// Sends alerts that were held back once their collapse window or quiet
+// hours are over
+async function releaseAlerts() {
+  const jobs = (await releaseHeldAlerts(pool)).flatMap(({ destination, channel, route, update }) => {
+    if (channel !== "email") return [chatJob(channel, route, update)];
+
+    // Unsubscribed, or switched to a digest, while the alert was held
+    const email = destination.slice("email:".length);
+    const subscriber = subscribers.get(email);
+    if (subscriber?.status !== "confirmed" || subscriber.preferences.delivery !== "instant") return [];
+    return [subscriberAlertJob(email, update)];
   });
 
-  const nextIncidents = flattenIncidents(nextCache);
-  const newIncidents = [];
-  const statusChanges = [];
-
-  nextIncidents.forEach((incident) => {
-    if (!incident.id) return;
-
-    const prev = previousMap.get(incident.id);
-    if (!prev && !sentIncidentIds.has(incident.id)) {
-      // Brand new incident
-      newIncidents.push(incident);
-    } else if (prev && prev.status !== incident.status) {
-      // Status changed
-      statusChanges.push({
-        ...incident,
-        previousStatus: prev.status
+  await dispatchNotifications(jobs);
+}
+
+// Links are absolute, so emails sent from a refresh need PUBLIC_URL
+function subscriptionLinks(email, baseUrl = PUBLIC_URL || `http://localhost:${PORT}`) {
+  const token = (purpose) => createSubscriptionToken(SUBSCRIPTION_SECRET, email, purpose);
+  return {
+    confirm: `${baseUrl}/api/subscriptions/email/confirm?token=${token("confirm")}`,
+    manage: `${baseUrl}/?manage=${token("manage")}`,
+    dashboard: `${baseUrl}/`,
+    unsubscribe: `${baseUrl}/api/subscriptions/email/unsubscribe?token=${token("unsubscribe")}`
+  };
+}
+
+function unsubscribeHeaders(links) {
+  return {
+    "List-Unsubscribe": `<${links.unsubscribe}>`,
+    "List-Unsubscribe-Post": "List-Unsubscribe=One-Click"
+  };
+}
+
+// The unsubscribe headers go on everything sent to a confirmed subscriber
+function emailJob(to, message, links) {
+  return {
+    channel: "email",
+    payload: { from: EMAIL_FROM, to, ...message, ...(links ? { headers: unsubscribeHeaders(links) } : {}) }
+  };
+}
+
+let digestRun = null;
+
+async function sendDueDigests() {
+  // Subscribers with the same settings get the same digest
+  const digests = new Map();
+  for (const [email, { preferences }] of confirmedSubscribers()) {
+    if (!DIGEST_PERIODS.includes(preferences.delivery)) continue;
+
+    const { until } = digestWindow(preferences.delivery, { hour: DIGEST_HOUR });
+    await dispatchClaimed(async (db) => {
+      const claim = await db.query(
+        `UPDATE subscribers SET last_digest_at = $2
+         WHERE email = $1 AND status = 'confirmed' AND (last_digest_at IS NULL OR last_digest_at < $2)
+         RETURNING email`,
+        [email, until]
+      );
+      if (claim.rows.length === 0) return [];
+
+      const key = JSON.stringify(preferences);
+      if (!digests.has(key)) {
+        digests.set(key, await buildDigest(db, preferences.delivery, preferences, { hour: DIGEST_HOUR }));
+      }
+      const links = subscriptionLinks(email);
+      return [emailJob(email, digestEmail(digests.get(key), links), links)];
+    });
+  }
+}
+
+// Queues the digest that is due for each digest subscriber. Claiming the
+// period on last_digest_at along with queueing the email means one instance
+// sends it, once, and a run that fails leaves it to the next one.
+function processDigests() {
+  if (!pool || !emailTransporter) return Promise.resolve();
+  if (!digestRun) {
+    digestRun = sendDueDigests()
+      .catch((error) => console.warn("Failed to send digests", error))
+      .finally(() => {
+        digestRun = null;
       });
-    }
-  });
+  }
+  return digestRun;
+}
 
-  if (newIncidents.length === 0 && statusChanges.length === 0) return;
+// Queues jobs in the outbox and kicks the worker without waiting for it.
+// Without a database they are sent right away, once.
+async function dispatchNotifications(jobs) {
+  if (jobs.length === 0) return;
 
-  let emailBody = "";
+  if (!pool) {
+    sendNotificationsInline(jobs, notificationSenders);
+    return;
+  }
 
-  if (newIncidents.length > 0) {
-    emailBody += "New Incidents:\n";
-    emailBody += buildIncidentLines(newIncidents.slice(0, 5));
-    emailBody += "\n\n";
+  await enqueueNotifications(pool, jobs);
+  processNotificationOutbox(pool, notificationSenders);
+}
+
+// Claims what is due and queues the jobs for it in one transaction, so a
+// failure in between undoes the claim and the next run tries again.
+// `claim(db)` returns the jobs; `db` is null without a database.
+async function dispatchClaimed(claim) {
+  if (!pool) {
+    await dispatchNotifications(await claim(null));
+    return;
   }
 
-  if (statusChanges.length > 0) {
-    emailBody += "Status Changes:\n";
-    emailBody += statusChanges
-      .slice(0, 5)
-      .map(
-        (incident) =>
-          `• ${incident.provider}: ${incident.title} (${incident.previousStatus} → ${incident.status}) ${incident.link || ""}`
-      )
-      .join("\n");
+  const queued = await inTransaction(async (client) => enqueueNotifications(client, await claim(client)));
+  if (queued) processNotificationOutbox(pool, notificationSenders);
+}
+
+async function inTransaction(work) {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const result = await work(client);
+    await client.query("COMMIT");
+    return result;
+  } catch (error) {
+    await client.query("ROLLBACK").catch(() => null);
+    throw error;
+  } finally {
+    client.release();
   }
+}
 
-  await emailTransporter.sendMail({
-    from: EMAIL_FROM,
-    to: EMAIL_FROM,
-    bcc: Array.from(subscriberEmails),
-    subject: "Cloud incident updates",
-    text: emailBody.trim()
-  });
+// Payloads carry the name of the route they were planned for, or null for
+// the channel's default webhook
+async function sendChatMessage(channel, { route: routeName, ...message }) {
+  const url = routeName ? findRoute(routeName)?.webhookUrl : CHAT_WEBHOOK_URLS[channel];
+  if (!url) {
+    throw new Error(
+      routeName ? `Route "${routeName}" is no longer configured` : `${channel} notifications are not configured`
+    );
+  }
+  await postChatMessage(url, message);
 }
 
-loadSubscribers().catch(() => null);
+async function postChatMessage(url, payload) {
+  const response = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(payload),
+    signal: AbortSignal.timeout(CHAT_TIMEOUT_MS)
+  });
+  if (!response.ok) {
+    const detail = (await response.text().catch(() => "")).slice(0, 200);
+    throw new Error(`HTTP ${response.status}${detail ? `: ${detail}` : ""}`);
+  }
+}
@@ -0,0 +1,22 @@
+export const up = async (pool) => {
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS feeds (
+      id VARCHAR(100) PRIMARY KEY,
+      provider VARCHAR(50) NOT NULL,
+      name VARCHAR(100) NOT NULL,
+      url TEXT NOT NULL,
+      enabled BOOLEAN NOT NULL DEFAULT TRUE,
+      deleted BOOLEAN NOT NULL DEFAULT FALSE,
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW()
+    )
+  `);
+
+  console.log('✓ Migration 002_create_feeds_table applied');
+};
+
+export const down = async (pool) => {
+  await pool.query(`DROP TABLE IF EXISTS feeds`);
+
+  console.log('✓ Migration 002_create_feeds_table rolled back');
+};
@@ -0,0 +1,13 @@
+export const up = async (pool) => {
+  await pool.query(`
+    ALTER TABLE feeds ADD COLUMN IF NOT EXISTS type VARCHAR(30) NOT NULL DEFAULT 'rss'
+  `);
+
+  console.log('✓ Migration 003_add_feed_type applied');
+};
+
+export const down = async (pool) => {
+  await pool.query(`ALTER TABLE feeds DROP COLUMN IF EXISTS type`);
+
+  console.log('✓ Migration 003_add_feed_type rolled back');
+};
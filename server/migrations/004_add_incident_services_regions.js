@@ -0,0 +1,29 @@
+export const up = async (pool) => {
+  await pool.query(`
+    ALTER TABLE incidents
+      ADD COLUMN IF NOT EXISTS services TEXT[] NOT NULL DEFAULT '{}',
+      ADD COLUMN IF NOT EXISTS regions TEXT[] NOT NULL DEFAULT '{}'
+  `);
+
+  await pool.query(`
+    CREATE INDEX IF NOT EXISTS idx_incidents_services ON incidents USING GIN (services)
+  `);
+
+  await pool.query(`
+    CREATE INDEX IF NOT EXISTS idx_incidents_regions ON incidents USING GIN (regions)
+  `);
+
+  console.log('✓ Migration 004_add_incident_services_regions applied');
+};
+
+export const down = async (pool) => {
+  await pool.query(`DROP INDEX IF EXISTS idx_incidents_regions`);
+  await pool.query(`DROP INDEX IF EXISTS idx_incidents_services`);
+  await pool.query(`
+    ALTER TABLE incidents
+      DROP COLUMN IF EXISTS regions,
+      DROP COLUMN IF EXISTS services
+  `);
+
+  console.log('✓ Migration 004_add_incident_services_regions rolled back');
+};
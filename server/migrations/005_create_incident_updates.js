@@ -0,0 +1,38 @@
+export const up = async (pool) => {
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS incident_updates (
+      id SERIAL PRIMARY KEY,
+      incident_id VARCHAR(500) NOT NULL REFERENCES incidents(id) ON DELETE CASCADE,
+      previous_status VARCHAR(50),
+      status VARCHAR(50) NOT NULL,
+      previous_severity VARCHAR(20),
+      severity VARCHAR(20) NOT NULL,
+      summary TEXT,
+      recorded_at TIMESTAMP DEFAULT NOW()
+    )
+  `);
+
+  await pool.query(`
+    CREATE INDEX IF NOT EXISTS idx_incident_updates_incident
+      ON incident_updates(incident_id, recorded_at)
+  `);
+
+  // Existing incidents start their timeline with the state we already have
+  await pool.query(`
+    INSERT INTO incident_updates (incident_id, status, severity, summary, recorded_at)
+    SELECT id, status, severity, summary, last_updated_at
+    FROM incidents
+    WHERE NOT EXISTS (
+      SELECT 1 FROM incident_updates WHERE incident_updates.incident_id = incidents.id
+    )
+  `);
+
+  console.log('✓ Migration 005_create_incident_updates applied');
+};
+
+export const down = async (pool) => {
+  await pool.query(`DROP INDEX IF EXISTS idx_incident_updates_incident`);
+  await pool.query(`DROP TABLE IF EXISTS incident_updates`);
+
+  console.log('✓ Migration 005_create_incident_updates rolled back');
+};
@@ -0,0 +1,27 @@
+export const up = async (pool) => {
+  await pool.query(`
+    ALTER TABLE incidents ADD COLUMN IF NOT EXISTS search_vector tsvector
+      GENERATED ALWAYS AS (
+        setweight(to_tsvector('english', coalesce(title, '')), 'A') ||
+        setweight(to_tsvector('english', coalesce(summary, '')), 'B')
+      ) STORED
+  `);
+
+  await pool.query(`
+    CREATE INDEX IF NOT EXISTS idx_incidents_search_vector ON incidents USING GIN (search_vector)
+  `);
+
+  await pool.query(`
+    CREATE INDEX IF NOT EXISTS idx_incidents_published_at_id ON incidents(published_at DESC, id DESC)
+  `);
+
+  console.log('✓ Migration 006_add_incident_search_vector applied');
+};
+
+export const down = async (pool) => {
+  await pool.query(`DROP INDEX IF EXISTS idx_incidents_published_at_id`);
+  await pool.query(`DROP INDEX IF EXISTS idx_incidents_search_vector`);
+  await pool.query(`ALTER TABLE incidents DROP COLUMN IF EXISTS search_vector`);
+
+  console.log('✓ Migration 006_add_incident_search_vector rolled back');
+};
@@ -0,0 +1,38 @@
+export const up = async (pool) => {
+  await pool.query(`
+    ALTER TABLE incidents
+      ADD COLUMN IF NOT EXISTS resolved_at TIMESTAMP,
+      ADD COLUMN IF NOT EXISTS group_id VARCHAR(500)
+  `);
+
+  // Best guess for rows stored before resolved_at existed: the first recorded
+  // revision into "resolved", otherwise the last time the row changed
+  await pool.query(`
+    UPDATE incidents
+    SET resolved_at = COALESCE(
+      (
+        SELECT MIN(recorded_at) FROM incident_updates
+        WHERE incident_updates.incident_id = incidents.id AND incident_updates.status = 'resolved'
+      ),
+      last_updated_at
+    )
+    WHERE status = 'resolved' AND resolved_at IS NULL
+  `);
+
+  await pool.query(`
+    CREATE INDEX IF NOT EXISTS idx_incidents_group_id ON incidents(group_id)
+  `);
+
+  console.log('✓ Migration 007_add_incident_resolution applied');
+};
+
+export const down = async (pool) => {
+  await pool.query(`DROP INDEX IF EXISTS idx_incidents_group_id`);
+  await pool.query(`
+    ALTER TABLE incidents
+      DROP COLUMN IF EXISTS group_id,
+      DROP COLUMN IF EXISTS resolved_at
+  `);
+
+  console.log('✓ Migration 007_add_incident_resolution rolled back');
+};
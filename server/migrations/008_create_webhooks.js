@@ -0,0 +1,52 @@
+export const up = async (pool) => {
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS webhooks (
+      id SERIAL PRIMARY KEY,
+      url TEXT NOT NULL,
+      secret VARCHAR(200) NOT NULL,
+      description TEXT,
+      events TEXT[] NOT NULL DEFAULT '{}',
+      providers TEXT[] NOT NULL DEFAULT '{}',
+      min_severity VARCHAR(20),
+      enabled BOOLEAN NOT NULL DEFAULT TRUE,
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW()
+    )
+  `);
+
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS webhook_deliveries (
+      id SERIAL PRIMARY KEY,
+      webhook_id INTEGER NOT NULL REFERENCES webhooks(id) ON DELETE CASCADE,
+      event_id VARCHAR(64) NOT NULL,
+      event_type VARCHAR(50) NOT NULL,
+      payload JSONB NOT NULL,
+      status VARCHAR(20) NOT NULL DEFAULT 'pending',
+      attempts INTEGER NOT NULL DEFAULT 0,
+      next_attempt_at TIMESTAMP DEFAULT NOW(),
+      last_attempt_at TIMESTAMP,
+      response_status INTEGER,
+      response_body TEXT,
+      last_error TEXT,
+      redelivery_of INTEGER REFERENCES webhook_deliveries(id) ON DELETE SET NULL,
+      created_at TIMESTAMP DEFAULT NOW()
+    )
+  `);
+
+  await pool.query(`
+    CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(status, next_attempt_at)
+  `);
+
+  await pool.query(`
+    CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook ON webhook_deliveries(webhook_id, created_at DESC)
+  `);
+
+  console.log('✓ Migration 008_create_webhooks applied');
+};
+
+export const down = async (pool) => {
+  await pool.query(`DROP TABLE IF EXISTS webhook_deliveries`);
+  await pool.query(`DROP TABLE IF EXISTS webhooks`);
+
+  console.log('✓ Migration 008_create_webhooks rolled back');
+};
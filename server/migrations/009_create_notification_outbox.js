@@ -0,0 +1,45 @@
+export const up = async (pool) => {
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS notification_outbox (
+      id SERIAL PRIMARY KEY,
+      channel VARCHAR(20) NOT NULL,
+      payload JSONB NOT NULL,
+      status VARCHAR(20) NOT NULL DEFAULT 'pending',
+      attempts INTEGER NOT NULL DEFAULT 0,
+      next_attempt_at TIMESTAMP DEFAULT NOW(),
+      last_attempt_at TIMESTAMP,
+      last_error TEXT,
+      sent_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT NOW()
+    )
+  `);
+
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS notification_attempts (
+      id SERIAL PRIMARY KEY,
+      outbox_id INTEGER NOT NULL REFERENCES notification_outbox(id) ON DELETE CASCADE,
+      attempt INTEGER NOT NULL,
+      status VARCHAR(20) NOT NULL,
+      error TEXT,
+      duration_ms INTEGER,
+      attempted_at TIMESTAMP DEFAULT NOW()
+    )
+  `);
+
+  await pool.query(`
+    CREATE INDEX IF NOT EXISTS idx_notification_outbox_due ON notification_outbox(status, next_attempt_at)
+  `);
+
+  await pool.query(`
+    CREATE INDEX IF NOT EXISTS idx_notification_attempts_outbox ON notification_attempts(outbox_id, attempt)
+  `);
+
+  console.log('✓ Migration 009_create_notification_outbox applied');
+};
+
+export const down = async (pool) => {
+  await pool.query(`DROP TABLE IF EXISTS notification_attempts`);
+  await pool.query(`DROP TABLE IF EXISTS notification_outbox`);
+
+  console.log('✓ Migration 009_create_notification_outbox rolled back');
+};
@@ -0,0 +1,25 @@
+export const up = async (pool) => {
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS notification_state (
+      channel VARCHAR(20) NOT NULL,
+      incident_id VARCHAR(500) NOT NULL,
+      status VARCHAR(50),
+      previous_status VARCHAR(50),
+      notified_at TIMESTAMP DEFAULT NOW(),
+      last_seen_at TIMESTAMP DEFAULT NOW(),
+      PRIMARY KEY (channel, incident_id)
+    )
+  `);
+
+  await pool.query(`
+    CREATE INDEX IF NOT EXISTS idx_notification_state_last_seen ON notification_state(last_seen_at)
+  `);
+
+  console.log('✓ Migration 010_create_notification_state applied');
+};
+
+export const down = async (pool) => {
+  await pool.query(`DROP TABLE IF EXISTS notification_state`);
+
+  console.log('✓ Migration 010_create_notification_state rolled back');
+};
@@ -0,0 +1,27 @@
+export const up = async (pool) => {
+  await pool.query(`
+    ALTER TABLE subscribers
+      ADD COLUMN IF NOT EXISTS providers TEXT[] NOT NULL DEFAULT '{}',
+      ADD COLUMN IF NOT EXISTS min_severity VARCHAR(20),
+      ADD COLUMN IF NOT EXISTS keywords TEXT[] NOT NULL DEFAULT '{}',
+      ADD COLUMN IF NOT EXISTS services TEXT[] NOT NULL DEFAULT '{}',
+      ADD COLUMN IF NOT EXISTS status_changes BOOLEAN NOT NULL DEFAULT TRUE,
+      ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT NOW()
+  `);
+
+  console.log('✓ Migration 011_add_subscriber_preferences applied');
+};
+
+export const down = async (pool) => {
+  await pool.query(`
+    ALTER TABLE subscribers
+      DROP COLUMN IF EXISTS updated_at,
+      DROP COLUMN IF EXISTS status_changes,
+      DROP COLUMN IF EXISTS services,
+      DROP COLUMN IF EXISTS keywords,
+      DROP COLUMN IF EXISTS min_severity,
+      DROP COLUMN IF EXISTS providers
+  `);
+
+  console.log('✓ Migration 011_add_subscriber_preferences rolled back');
+};
@@ -0,0 +1,25 @@
+export const up = async (pool) => {
+  // Addresses that signed up before double opt-in stay subscribed
+  await pool.query(`
+    ALTER TABLE subscribers
+      ADD COLUMN IF NOT EXISTS status VARCHAR(20) NOT NULL DEFAULT 'confirmed',
+      ADD COLUMN IF NOT EXISTS confirmed_at TIMESTAMP
+  `);
+
+  await pool.query(`
+    ALTER TABLE subscribers ALTER COLUMN status SET DEFAULT 'pending'
+  `);
+
+  console.log('✓ Migration 012_add_subscriber_confirmation applied');
+};
+
+export const down = async (pool) => {
+  await pool.query(`DELETE FROM subscribers WHERE status = 'pending'`);
+  await pool.query(`
+    ALTER TABLE subscribers
+      DROP COLUMN IF EXISTS confirmed_at,
+      DROP COLUMN IF EXISTS status
+  `);
+
+  console.log('✓ Migration 012_add_subscriber_confirmation rolled back');
+};
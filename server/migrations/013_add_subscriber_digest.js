@@ -0,0 +1,19 @@
+export const up = async (pool) => {
+  await pool.query(`
+    ALTER TABLE subscribers
+      ADD COLUMN IF NOT EXISTS delivery VARCHAR(20) NOT NULL DEFAULT 'instant',
+      ADD COLUMN IF NOT EXISTS last_digest_at TIMESTAMP
+  `);
+
+  console.log('✓ Migration 013_add_subscriber_digest applied');
+};
+
+export const down = async (pool) => {
+  await pool.query(`
+    ALTER TABLE subscribers
+      DROP COLUMN IF EXISTS last_digest_at,
+      DROP COLUMN IF EXISTS delivery
+  `);
+
+  console.log('✓ Migration 013_add_subscriber_digest rolled back');
+};
@@ -0,0 +1,57 @@
+export const up = async (pool) => {
+  // Severity as last announced, to notice when it goes up
+  await pool.query(`
+    ALTER TABLE notification_state
+      ADD COLUMN IF NOT EXISTS severity VARCHAR(20),
+      ADD COLUMN IF NOT EXISTS previous_severity VARCHAR(20)
+  `);
+
+  // Alerts waiting for a collapse window or quiet hours to end
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS alert_holds (
+      id SERIAL PRIMARY KEY,
+      destination VARCHAR(600) NOT NULL,
+      channel VARCHAR(20) NOT NULL,
+      route VARCHAR(50),
+      kind VARCHAR(20) NOT NULL,
+      incident JSONB NOT NULL,
+      held_at TIMESTAMP DEFAULT NOW()
+    )
+  `);
+
+  await pool.query(`
+    CREATE INDEX IF NOT EXISTS idx_alert_holds_destination ON alert_holds(destination)
+  `);
+
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS alert_destinations (
+      destination VARCHAR(600) PRIMARY KEY,
+      last_sent_at TIMESTAMP NOT NULL
+    )
+  `);
+
+  // Long-running incidents already escalated to a destination
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS alert_escalations (
+      destination VARCHAR(600) NOT NULL,
+      incident_id VARCHAR(500) NOT NULL,
+      escalated_at TIMESTAMP DEFAULT NOW(),
+      PRIMARY KEY (destination, incident_id)
+    )
+  `);
+
+  console.log('✓ Migration 014_create_alert_policy_state applied');
+};
+
+export const down = async (pool) => {
+  await pool.query(`DROP TABLE IF EXISTS alert_escalations`);
+  await pool.query(`DROP TABLE IF EXISTS alert_destinations`);
+  await pool.query(`DROP TABLE IF EXISTS alert_holds`);
+  await pool.query(`
+    ALTER TABLE notification_state
+      DROP COLUMN IF EXISTS previous_severity,
+      DROP COLUMN IF EXISTS severity
+  `);
+
+  console.log('✓ Migration 014_create_alert_policy_state rolled back');
+};
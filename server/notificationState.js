@@ -0,0 +1,140 @@
+import { SEVERITIES } from "./severity.js";
+
+// Remembers which incidents each notification channel has already announced,
+// and at which status and severity. With a database the record survives restarts and is
+// shared by every instance: a claim only succeeds for one of them.
+
+// Incidents that have been out of the feeds this long are forgotten
+const RETENTION_DAYS = 30;
+// last_seen_at only needs to be roughly right for pruning
+const TOUCH_INTERVAL_MINUTES = 60;
+
+// channel -> Map(incident id -> { status, severity }), used without a database
+const memoryState = new Map();
+const seededChannels = new Set();
+
+function isWorse(severity, than) {
+  const rank = SEVERITIES.indexOf(severity);
+  return rank !== -1 && rank < SEVERITIES.indexOf(than);
+}
+
+function claimInMemory(channel, incidents, { statusChanges, severityIncreases }) {
+  const known = memoryState.get(channel);
+  const next = new Map(
+    incidents.map((incident) => [incident.id, { status: incident.status, severity: incident.severity }])
+  );
+  // Like the database, a severity only counts as announced when it went up
+  next.forEach((state, id) => {
+    const previous = known?.get(id);
+    if (previous && state.status === previous.status && !isWorse(state.severity, previous.severity)) {
+      state.severity = previous.severity;
+    }
+  });
+  memoryState.set(channel, next);
+  // The first refresh after boot only sets the baseline
+  if (!known) return { created: [], changed: [], escalated: [] };
+
+  const seen = incidents.filter((incident) => known.has(incident.id));
+  return {
+    created: incidents.filter((incident) => !known.has(incident.id)),
+    changed: statusChanges
+      ? seen
+          .filter((incident) => known.get(incident.id).status !== incident.status)
+          .map((incident) => ({ ...incident, previousStatus: known.get(incident.id).status }))
+      : [],
+    escalated: severityIncreases
+      ? seen
+          .filter((incident) => isWorse(incident.severity, known.get(incident.id).severity))
+          .map((incident) => ({ ...incident, previousSeverity: known.get(incident.id).severity }))
+      : []
+  };
+}
+
+// A row is claimed when it is new, its status changed (with statusChanges) or
+// its severity went up (with severityIncreases). Rows from before severities
+// were recorded get theirs filled in without counting as an increase.
+async function upsertState(pool, channel, incidents, { statusChanges, severityIncreases }) {
+  const { rows } = await pool.query(
+    `INSERT INTO notification_state (channel, incident_id, status, severity)
+     SELECT $1, id, status, severity FROM unnest($2::text[], $3::text[], $4::text[]) AS t(id, status, severity)
+     ON CONFLICT (channel, incident_id) DO UPDATE
+     SET previous_status = notification_state.status, status = EXCLUDED.status,
+         previous_severity = notification_state.severity, severity = EXCLUDED.severity,
+         notified_at = NOW(), last_seen_at = NOW()
+     WHERE ($5 AND notification_state.status IS DISTINCT FROM EXCLUDED.status)
+        OR ($6 AND array_position($7::text[], EXCLUDED.severity)
+                   < COALESCE(array_position($7::text[], notification_state.severity), 0))
+        OR notification_state.severity IS NULL
+     RETURNING incident_id, status, previous_status, severity, previous_severity`,
+    [
+      channel,
+      incidents.map((incident) => incident.id),
+      incidents.map((incident) => incident.status),
+      incidents.map((incident) => incident.severity || null),
+      statusChanges,
+      severityIncreases,
+      SEVERITIES
+    ]
+  );
+  return rows;
+}
+
+// A fresh install has nothing recorded, so the first run records what is
+// already in the feeds instead of announcing all of it. A seed is only
+// remembered once it can be read back, in case its transaction rolls back.
+async function seedChannel(pool, channel, incidents) {
+  if (seededChannels.has(channel)) return false;
+
+  const { rows } = await pool.query("SELECT 1 FROM notification_state WHERE channel = $1 LIMIT 1", [channel]);
+  if (rows.length > 0 || incidents.length === 0) seededChannels.add(channel);
+  if (rows.length > 0) return false;
+
+  await upsertState(pool, channel, incidents, { statusChanges: false, severityIncreases: false });
+  return true;
+}
+
+async function touchAndPrune(pool, channel, ids) {
+  await pool.query(
+    `UPDATE notification_state SET last_seen_at = NOW()
+     WHERE channel = $1 AND incident_id = ANY($2::text[])
+       AND last_seen_at < NOW() - make_interval(mins => $3)`,
+    [channel, ids, TOUCH_INTERVAL_MINUTES]
+  );
+  await pool.query(
+    "DELETE FROM notification_state WHERE channel = $1 AND last_seen_at < NOW() - make_interval(days => $2)",
+    [channel, RETENTION_DAYS]
+  );
+}
+
+// Returns the incidents this instance should announce on `channel`: ones it
+// has never announced; with statusChanges, ones whose status moved on since
+// (with previousStatus); and with severityIncreases, ones that got more severe
+// (with previousSeverity). Everything returned is recorded as announced.
+export async function claimNotifications(
+  pool,
+  channel,
+  incidents,
+  { statusChanges = false, severityIncreases = false } = {}
+) {
+  const byId = new Map(incidents.filter((incident) => incident.id).map((incident) => [incident.id, incident]));
+  const withId = Array.from(byId.values());
+  if (!pool) return claimInMemory(channel, withId, { statusChanges, severityIncreases });
+
+  if (await seedChannel(pool, channel, withId)) return { created: [], changed: [], escalated: [] };
+
+  const claimed = withId.length
+    ? await upsertState(pool, channel, withId, { statusChanges, severityIncreases })
+    : [];
+  await touchAndPrune(pool, channel, withId.map((incident) => incident.id));
+
+  const seen = claimed.filter((row) => row.previous_status);
+  return {
+    created: claimed.filter((row) => !row.previous_status).map((row) => byId.get(row.incident_id)),
+    changed: seen
+      .filter((row) => statusChanges && row.previous_status !== row.status)
+      .map((row) => ({ ...byId.get(row.incident_id), previousStatus: row.previous_status })),
+    escalated: seen
+      .filter((row) => severityIncreases && row.previous_severity && isWorse(row.severity, row.previous_severity))
+      .map((row) => ({ ...byId.get(row.incident_id), previousSeverity: row.previous_severity }))
+  };
+}
@@ -0,0 +1,204 @@
+// Durable queue for email and chat notifications. The refresh only writes
+// jobs to notification_outbox; processNotificationOutbox() delivers them with
+// retries and logs every attempt, so a slow or failing channel never blocks a
+// refresh or loses an alert.
+
+export const NOTIFICATION_CHANNELS = ["email", "slack", "discord", "teams"];
+export const NOTIFICATION_STATUSES = ["pending", "sent", "failed"];
+
+// Delays before the 2nd, 3rd, ... attempt: 1m, 5m, 25m, ~2h
+const RETRY_BASE_MS = 60 * 1000;
+const RETRY_FACTOR = 5;
+const MAX_ATTEMPTS = 5;
+// Longer than the SMTP timeouts, so a slow send is not picked up twice
+const CLAIM_LEASE_MS = 5 * 60 * 1000;
+const CLAIM_BATCH_SIZE = 20;
+const MAX_ERROR_LENGTH = 2000;
+
+let processing = null;
+
+function retryDelayMs(attempts) {
+  return RETRY_BASE_MS * RETRY_FACTOR ** (attempts - 1);
+}
+
+function describeError(error) {
+  return String(error?.cause?.message || error?.message || error || "Send failed").slice(0, MAX_ERROR_LENGTH);
+}
+
+function rowToJob(row) {
+  return {
+    id: row.id,
+    channel: row.channel,
+    status: row.status,
+    attempts: row.attempts,
+    nextAttemptAt: row.status === "pending" ? row.next_attempt_at : null,
+    lastAttemptAt: row.last_attempt_at,
+    lastError: row.last_error,
+    sentAt: row.sent_at,
+    createdAt: row.created_at,
+    payload: row.payload
+  };
+}
+
+function rowToAttempt(row) {
+  return {
+    attempt: row.attempt,
+    status: row.status,
+    error: row.error,
+    durationMs: row.duration_ms,
+    attemptedAt: row.attempted_at
+  };
+}
+
+// jobs: [{ channel, payload }], where payload is whatever that channel's
+// sender expects
+export async function enqueueNotifications(pool, jobs) {
+  for (const job of jobs) {
+    await pool.query("INSERT INTO notification_outbox (channel, payload) VALUES ($1, $2)", [
+      job.channel,
+      JSON.stringify(job.payload)
+    ]);
+  }
+  return jobs.length;
+}
+
+// Without a database there is nowhere to keep a job, so it gets one try
+export async function sendNotificationsInline(jobs, senders) {
+  await Promise.all(
+    jobs.map(async (job) => {
+      try {
+        await senders[job.channel](job.payload);
+      } catch (error) {
+        console.warn(`Failed to send ${job.channel} notification: ${describeError(error)}`);
+      }
+    })
+  );
+}
+
+async function claimDueJobs(pool) {
+  const { rows } = await pool.query(
+    `UPDATE notification_outbox
+     SET next_attempt_at = NOW() + make_interval(secs => $1)
+     WHERE id IN (
+       SELECT id FROM notification_outbox
+       WHERE status = 'pending' AND next_attempt_at <= NOW()
+       ORDER BY next_attempt_at
+       LIMIT $2
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING *`,
+    [CLAIM_LEASE_MS / 1000, CLAIM_BATCH_SIZE]
+  );
+  return rows;
+}
+
+async function attempt(job, senders) {
+  const startedAt = Date.now();
+  try {
+    const sender = senders[job.channel];
+    if (!sender) throw new Error(`${job.channel} notifications are not configured`);
+    await sender(job.payload);
+    return { ok: true, error: null, durationMs: Date.now() - startedAt };
+  } catch (error) {
+    return { ok: false, error: describeError(error), durationMs: Date.now() - startedAt };
+  }
+}
+
+async function recordAttempt(pool, job, result) {
+  const attempts = job.attempts + 1;
+  const status = result.ok ? "sent" : attempts >= MAX_ATTEMPTS ? "failed" : "pending";
+
+  await pool.query(
+    `INSERT INTO notification_attempts (outbox_id, attempt, status, error, duration_ms)
+     SELECT $1, COUNT(*) + 1, $2, $3, $4 FROM notification_attempts WHERE outbox_id = $1`,
+    [job.id, result.ok ? "succeeded" : "failed", result.error, result.durationMs]
+  );
+  await pool.query(
+    `UPDATE notification_outbox
+     SET status = $2, attempts = $3, last_attempt_at = NOW(),
+         next_attempt_at = NOW() + make_interval(secs => $4),
+         last_error = $5, sent_at = CASE WHEN $6 THEN NOW() END
+     WHERE id = $1`,
+    [
+      job.id,
+      status,
+      attempts,
+      status === "pending" ? retryDelayMs(attempts) / 1000 : 0,
+      result.error,
+      result.ok
+    ]
+  );
+
+  if (status === "failed") {
+    console.warn(`Notification ${job.id} (${job.channel}) failed after ${attempts} attempts: ${result.error}`);
+  }
+}
+
+// Sends everything that is due. Safe to call often and from several
+// instances; overlapping calls in one process share the same run.
+export function processNotificationOutbox(pool, senders) {
+  if (!pool) return Promise.resolve();
+  if (processing) return processing;
+
+  processing = (async () => {
+    try {
+      let batch = await claimDueJobs(pool);
+      while (batch.length > 0) {
+        for (const job of batch) {
+          await recordAttempt(pool, job, await attempt(job, senders));
+        }
+        batch = await claimDueJobs(pool);
+      }
+    } catch (error) {
+      console.warn("Failed to process notification outbox", error);
+    } finally {
+      processing = null;
+    }
+  })();
+  return processing;
+}
+
+export async function listNotificationJobs(pool, { status, channel, limit = 50 } = {}) {
+  const params = [Math.max(1, Math.min(200, parseInt(limit, 10) || 50))];
+  const filters = [];
+  if (status) {
+    params.push(status);
+    filters.push(`status = $${params.length}`);
+  }
+  if (channel) {
+    params.push(channel);
+    filters.push(`channel = $${params.length}`);
+  }
+
+  const { rows } = await pool.query(
+    `SELECT * FROM notification_outbox
+     ${filters.length ? `WHERE ${filters.join(" AND ")}` : ""}
+     ORDER BY created_at DESC, id DESC
+     LIMIT $1`,
+    params
+  );
+  return rows.map(rowToJob);
+}
+
+export async function getNotificationJob(pool, id) {
+  const { rows } = await pool.query("SELECT * FROM notification_outbox WHERE id = $1", [id]);
+  if (!rows[0]) return null;
+
+  const { rows: attempts } = await pool.query(
+    "SELECT * FROM notification_attempts WHERE outbox_id = $1 ORDER BY attempt, id",
+    [id]
+  );
+  return { ...rowToJob(rows[0]), attemptLog: attempts.map(rowToAttempt) };
+}
+
+// Gives a failed job a fresh set of attempts; earlier attempts stay in the log
+export async function retryNotificationJob(pool, id) {
+  const { rows } = await pool.query(
+    `UPDATE notification_outbox
+     SET status = 'pending', attempts = 0, next_attempt_at = NOW()
+     WHERE id = $1 AND status = 'failed'
+     RETURNING *`,
+    [id]
+  );
+  return rows[0] ? rowToJob(rows[0]) : null;
+}
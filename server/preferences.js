@@ -0,0 +1,120 @@
+import { resolveService } from "./catalog.js";
+import { isSeverity, SEVERITIES, severityRank } from "./severity.js";
+
+// What an email subscriber wants to hear about. Empty lists mean "all".
+
+// "instant" emails on every refresh that finds something; the others wait
+// for the digest
+export const DELIVERY_MODES = ["instant", "daily", "weekly"];
+const MAX_LIST_LENGTH = 20;
+const MAX_TERM_LENGTH = 100;
+
+export const DEFAULT_PREFERENCES = {
+  providers: [],
+  minSeverity: null,
+  keywords: [],
+  services: [],
+  statusChanges: true,
+  delivery: "instant"
+};
+
+export function rowToPreferences(row) {
+  return {
+    providers: row.providers || [],
+    minSeverity: row.min_severity || null,
+    keywords: row.keywords || [],
+    services: row.services || [],
+    statusChanges: row.status_changes ?? true,
+    delivery: row.delivery || "instant"
+  };
+}
+
+// Accepts arrays or comma-separated strings, as typed into the form
+function listOf(value, field) {
+  const entries = typeof value === "string" ? value.split(",") : value;
+  if (!Array.isArray(entries) || entries.some((entry) => typeof entry !== "string")) {
+    return { error: `${field} must be a list of strings` };
+  }
+
+  const list = Array.from(new Set(entries.map((entry) => entry.trim()).filter(Boolean)));
+  if (list.length > MAX_LIST_LENGTH || list.some((entry) => entry.length > MAX_TERM_LENGTH)) {
+    return { error: `${field} allows up to ${MAX_LIST_LENGTH} entries of ${MAX_TERM_LENGTH} characters` };
+  }
+  return { list };
+}
+
+// Fills anything not given from `current`, so a partial update keeps the rest.
+// A missing or null `input` changes nothing.
+export function validatePreferences(input, current = DEFAULT_PREFERENCES) {
+  if (input === undefined || input === null) return { preferences: { ...current } };
+  if (typeof input !== "object" || Array.isArray(input)) return { error: "preferences must be an object" };
+
+  const preferences = { ...current };
+
+  if (input.providers !== undefined) {
+    const { list, error } = listOf(input.providers, "providers");
+    if (error) return { error };
+    preferences.providers = list;
+  }
+
+  if (input.minSeverity !== undefined) {
+    const minSeverity = input.minSeverity || null;
+    if (minSeverity !== null && !isSeverity(minSeverity)) {
+      return { error: `minSeverity must be one of: ${SEVERITIES.join(", ")}` };
+    }
+    preferences.minSeverity = minSeverity;
+  }
+
+  if (input.keywords !== undefined) {
+    const { list, error } = listOf(input.keywords, "keywords");
+    if (error) return { error };
+    preferences.keywords = list.map((keyword) => keyword.toLowerCase());
+  }
+
+  if (input.services !== undefined) {
+    const { list, error } = listOf(input.services, "services");
+    if (error) return { error };
+    preferences.services = list.map(resolveService);
+  }
+
+  if (input.statusChanges !== undefined) {
+    if (typeof input.statusChanges !== "boolean") {
+      return { error: "statusChanges must be true or false" };
+    }
+    preferences.statusChanges = input.statusChanges;
+  }
+
+  if (input.delivery !== undefined) {
+    if (!DELIVERY_MODES.includes(input.delivery)) {
+      return { error: `delivery must be one of: ${DELIVERY_MODES.join(", ")}` };
+    }
+    preferences.delivery = input.delivery;
+  }
+
+  return { preferences };
+}
+
+// Keywords and services narrow the same way: with either set, an incident
+// has to mention one of the keywords or affect one of the services
+export function matchesPreferences(preferences, incident) {
+  const provider = String(incident.provider || "").toLowerCase();
+  if (preferences.providers.length && !preferences.providers.some((entry) => entry.toLowerCase() === provider)) {
+    return false;
+  }
+
+  if (
+    preferences.minSeverity &&
+    severityRank(incident.severity) > severityRank(preferences.minSeverity)
+  ) {
+    return false;
+  }
+
+  if (preferences.keywords.length === 0 && preferences.services.length === 0) return true;
+
+  const text = `${incident.title || ""} ${incident.summary || ""}`.toLowerCase();
+  const services = (incident.services || []).map((service) => service.toLowerCase());
+  return (
+    preferences.keywords.some((keyword) => text.includes(keyword)) ||
+    preferences.services.some((service) => services.includes(service.toLowerCase()))
+  );
+}
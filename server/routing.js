@@ -0,0 +1,139 @@
+import fs from "fs";
+import path from "path";
+import process from "node:process";
+import { fileURLToPath } from "url";
+import { resolveService } from "./catalog.js";
+import { isSeverity, SEVERITIES, severityRank } from "./severity.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const ROUTES_CONFIG_PATH =
+  process.env.ROUTES_CONFIG_PATH || path.join(__dirname, "config", "routes.json");
+
+// Sends chat notifications to different webhooks by provider, severity,
+// status or service. Every route an incident matches gets it; incidents no
+// route matches go to the default DISCORD/TEAMS/SLACK_WEBHOOK_URL.
+
+export const CHAT_CHANNELS = ["slack", "discord", "teams"];
+
+const LIST_FIELDS = ["providers", "severities", "statuses", "services"];
+
+let routes = null;
+let routesLoadedMtime = 0;
+
+function compileRoute(route) {
+  const name = String(route?.name || "").trim();
+  if (!/^[a-z0-9][a-z0-9-]{0,49}$/.test(name)) {
+    throw new Error("name must be lowercase letters, numbers and dashes");
+  }
+  if (!CHAT_CHANNELS.includes(route.channel)) {
+    throw new Error(`channel must be one of: ${CHAT_CHANNELS.join(", ")}`);
+  }
+
+  // Webhook URLs are secrets, so the config can name an environment variable instead
+  const webhookUrl = route.webhookUrlEnv ? process.env[route.webhookUrlEnv] : route.webhookUrl;
+  if (!webhookUrl) {
+    throw new Error(route.webhookUrlEnv ? `${route.webhookUrlEnv} is not set` : "needs webhookUrl or webhookUrlEnv");
+  }
+
+  const match = route.match || {};
+  LIST_FIELDS.forEach((field) => {
+    if (match[field] !== undefined && !Array.isArray(match[field])) throw new Error(`match.${field} must be a list`);
+  });
+  if (match.minSeverity && !isSeverity(match.minSeverity)) {
+    throw new Error(`match.minSeverity must be one of: ${SEVERITIES.join(", ")}`);
+  }
+
+  const lower = (list) => (list || []).map((entry) => String(entry).toLowerCase());
+  return {
+    name,
+    channel: route.channel,
+    webhookUrl,
+    providers: lower(match.providers),
+    severities: lower(match.severities),
+    minSeverity: match.minSeverity || null,
+    statuses: lower(match.statuses),
+    services: lower((match.services || []).map(resolveService))
+  };
+}
+
+function compileRoutes(config) {
+  const seen = new Set();
+  return (config.routes || []).flatMap((route) => {
+    try {
+      const compiled = compileRoute(route);
+      if (seen.has(compiled.name)) throw new Error("duplicate name");
+      seen.add(compiled.name);
+      return [compiled];
+    } catch (error) {
+      console.warn(`Skipping route ${route?.name || "(unnamed)"} in ${ROUTES_CONFIG_PATH}: ${error.message}`);
+      return [];
+    }
+  });
+}
+
+// Re-read when the file changes, like the classification rules. A missing
+// file just means no routes.
+export function loadRoutes() {
+  try {
+    const { mtimeMs } = fs.statSync(ROUTES_CONFIG_PATH);
+    if (routes && mtimeMs === routesLoadedMtime) return routes;
+
+    routes = compileRoutes(JSON.parse(fs.readFileSync(ROUTES_CONFIG_PATH, "utf8")));
+    routesLoadedMtime = mtimeMs;
+  } catch (error) {
+    if (error.code !== "ENOENT") console.error(`Failed to load notification routes ${ROUTES_CONFIG_PATH}:`, error);
+    if (!routes || error.code === "ENOENT") routes = [];
+  }
+  return routes;
+}
+
+export function findRoute(name) {
+  return loadRoutes().find((route) => route.name === name) || null;
+}
+
+// Every condition given has to hold; within a list, any entry will do
+function matchesRoute(route, incident) {
+  const severity = String(incident.severity || "").toLowerCase();
+  if (route.providers.length && !route.providers.includes(String(incident.provider || "").toLowerCase())) {
+    return false;
+  }
+  if (route.severities.length && !route.severities.includes(severity)) return false;
+  if (route.minSeverity && severityRank(severity) > severityRank(route.minSeverity)) return false;
+  if (route.statuses.length && !route.statuses.includes(String(incident.status || "").toLowerCase())) {
+    return false;
+  }
+  if (route.services.length) {
+    const services = (incident.services || []).map((service) => service.toLowerCase());
+    if (!route.services.some((service) => services.includes(service))) return false;
+  }
+  return true;
+}
+
+// Splits an update into one plan per destination. `update` holds lists of
+// incidents (new ones, status changes, ...), each filtered the same way;
+// `defaults` maps a channel to its default webhook URL, if any.
+export function planChatMessages(update, defaults) {
+  const plans = [];
+  const routed = new Set();
+  const narrow = (keep) =>
+    Object.fromEntries(Object.entries(update).map(([key, incidents]) => [key, incidents.filter(keep)]));
+  const isEmpty = (lists) => Object.values(lists).every((incidents) => incidents.length === 0);
+
+  loadRoutes().forEach((route) => {
+    const lists = narrow((incident) => matchesRoute(route, incident));
+    if (isEmpty(lists)) return;
+
+    Object.values(lists).forEach((incidents) => incidents.forEach((incident) => routed.add(incident.id)));
+    plans.push({ channel: route.channel, route: route.name, ...lists });
+  });
+
+  const unrouted = narrow((incident) => !routed.has(incident.id));
+  if (!isEmpty(unrouted)) {
+    CHAT_CHANNELS.filter((channel) => defaults[channel]).forEach((channel) => {
+      plans.push({ channel, route: null, ...unrouted });
+    });
+  }
+
+  return plans;
+}
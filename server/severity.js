@@ -0,0 +1,16 @@
+// Incident severities, most severe first. Every module that ranks or
+// validates a severity goes through here.
+
+export const SEVERITIES = ["critical", "high", "medium", "low"];
+
+export const SEVERITY_RANK = Object.freeze(Object.fromEntries(SEVERITIES.map((severity, rank) => [severity, rank])));
+
+// Own keys only, so "toString" or "constructor" don't pass for a severity
+export function isSeverity(value) {
+  return typeof value === "string" && Object.hasOwn(SEVERITY_RANK, value);
+}
+
+// Unknown or missing severities rank below "low"
+export function severityRank(severity) {
+  return isSeverity(severity) ? SEVERITY_RANK[severity] : SEVERITIES.length;
+}
@@ -0,0 +1,394 @@
+import { buildHistoryWhere, parseHistoryFilters } from "./history.js";
+import { severityRank } from "./severity.js";
+
+// Reliability numbers over stored incidents. Rows are counted per correlated
+// event (group_id), not per feed update, so a provider posting five updates
+// for one outage still counts as one incident.
+
+const TREND_INTERVALS = ["week", "month"];
+const TREND_GROUPS = ["provider", "service", "severity"];
+const STATS_MAX_DAYS = 365;
+
+// Returns { filters, options } or { error } for a 400 response
+export function parseStatsQuery(query = {}, { groups = TREND_GROUPS } = {}) {
+  const { filters, error } = parseHistoryFilters(query, {
+    defaultDays: 90,
+    defaultLimit: 10,
+    maxDays: STATS_MAX_DAYS
+  });
+  if (error) return { error };
+
+  const interval = String(query.interval || "week").toLowerCase();
+  if (!TREND_INTERVALS.includes(interval)) {
+    return { error: `Unknown interval "${interval}". Use one of: ${TREND_INTERVALS.join(", ")}.` };
+  }
+
+  const groupBy = String(query.groupBy || "provider").toLowerCase();
+  if (!groups.includes(groupBy)) {
+    return { error: `Unknown groupBy "${groupBy}". Use one of: ${groups.join(", ")}.` };
+  }
+
+  return { filters, options: { interval, groupBy } };
+}
+
+// Upper bounds (minutes) of the time-to-resolve histogram buckets
+const RESOLUTION_BUCKETS = [30, 60, 240, 720, 1440, 4320];
+
+// `items` are the matching rows, `events` one row per correlated incident:
+// first title, latest status, worst severity, earliest start. resolve_minutes
+// is null for open incidents and for ones only ever seen already resolved.
+function eventsQuery(filters) {
+  const { where, params } = buildHistoryWhere(filters);
+  return {
+    params,
+    sql: `
+      WITH items AS (
+        SELECT
+          incidents.*,
+          COALESCE(group_id, id) AS event_id,
+          COALESCE(published_at, first_seen_at) AS seen_at
+        FROM incidents
+        WHERE ${where}
+      ), events AS (
+        SELECT
+          event_id,
+          MIN(provider) AS provider,
+          (array_agg(title ORDER BY seen_at, id))[1] AS title,
+          (array_agg(status ORDER BY seen_at DESC, id DESC))[1] AS status,
+          (array_agg(summary ORDER BY seen_at DESC, id DESC))[1] AS summary,
+          (ARRAY['critical', 'high', 'medium', 'low'])[
+            MIN(CASE severity WHEN 'critical' THEN 1 WHEN 'high' THEN 2 WHEN 'medium' THEN 3 ELSE 4 END)
+          ] AS severity,
+          MIN(seen_at) AS started_at,
+          MAX(resolved_at) AS resolved_at,
+          MAX(last_updated_at) AS last_updated_at,
+          CASE
+            WHEN (array_agg(status ORDER BY seen_at DESC, id DESC))[1] = 'resolved'
+              AND MAX(resolved_at) > MIN(seen_at)
+            THEN (EXTRACT(EPOCH FROM MAX(resolved_at) - MIN(seen_at)) / 60)::float8
+          END AS resolve_minutes
+        FROM items
+        GROUP BY event_id
+      )
+    `
+  };
+}
+
+// Every week (starting Monday, like date_trunc) or month in the range, so
+// quiet periods show up as zeros instead of gaps
+function periodStarts(days, interval) {
+  const start = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+  start.setUTCHours(0, 0, 0, 0);
+  if (interval === "month") {
+    start.setUTCDate(1);
+  } else {
+    start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+  }
+
+  const starts = [];
+  for (const cursor = start; cursor.getTime() <= Date.now(); ) {
+    starts.push(cursor.toISOString().slice(0, 10));
+    if (interval === "month") {
+      cursor.setUTCMonth(cursor.getUTCMonth() + 1);
+    } else {
+      cursor.setUTCDate(cursor.getUTCDate() + 7);
+    }
+  }
+  return starts;
+}
+
+function roundMinutes(value) {
+  return value === null || value === undefined ? null : Math.round(Number(value) * 10) / 10;
+}
+
+// Incident counts per week or month, split by provider, service or severity
+export async function getTrends(pool, filters, { interval, groupBy }) {
+  const { sql, params } = eventsQuery(filters);
+  params.push(interval);
+  const period = `date_trunc($${params.length}, events.started_at)`;
+
+  const query =
+    groupBy === "service"
+      ? `${sql}, event_services AS (
+          SELECT DISTINCT event_id, unnest(services) AS service FROM items
+        )
+        SELECT ${period} AS period, event_services.service AS key, COUNT(DISTINCT events.event_id)::int AS count
+        FROM events
+        JOIN event_services ON event_services.event_id = events.event_id
+        GROUP BY 1, 2
+        ORDER BY 1, 2`
+      : `${sql}
+        SELECT ${period} AS period, events.${groupBy} AS key, COUNT(*)::int AS count
+        FROM events
+        GROUP BY 1, 2
+        ORDER BY 1, 2`;
+
+  const result = await pool.query(query, params);
+
+  const periods = new Map(
+    periodStarts(filters.days, interval).map((period) => [period, { period, counts: {}, total: 0 }])
+  );
+  const totals = new Map();
+  result.rows.forEach((row) => {
+    const key = new Date(row.period).toISOString().slice(0, 10);
+    if (!periods.has(key)) periods.set(key, { period: key, counts: {}, total: 0 });
+    const entry = periods.get(key);
+    entry.counts[row.key] = row.count;
+    entry.total += row.count;
+    totals.set(row.key, (totals.get(row.key) || 0) + row.count);
+  });
+
+  return {
+    interval,
+    groupBy,
+    days: filters.days,
+    keys: Array.from(totals.entries())
+      .sort((a, b) => b[1] - a[1])
+      .map(([key]) => key),
+    periods: Array.from(periods.values()).sort((a, b) => a.period.localeCompare(b.period))
+  };
+}
+
+function formatBucket(lower, upper) {
+  const label = (minutes) => (minutes < 60 ? `${minutes}m` : minutes < 1440 ? `${minutes / 60}h` : `${minutes / 1440}d`);
+  if (lower === undefined) return `< ${label(upper)}`;
+  if (upper === undefined) return `> ${label(lower)}`;
+  return `${label(lower)}–${label(upper)}`;
+}
+
+function toResolutionStats(row) {
+  return {
+    resolved: row?.resolved || 0,
+    meanMinutes: roundMinutes(row?.mean_minutes),
+    p90Minutes: roundMinutes(row?.p90_minutes)
+  };
+}
+
+// Mean and p90 time from first report to resolution, per provider and
+// overall, plus a histogram of the same durations.
+export async function getResolutionTimes(pool, filters) {
+  const { sql, params } = eventsQuery(filters);
+  const result = await pool.query(
+    `${sql}
+    SELECT
+      provider,
+      COUNT(resolve_minutes)::int AS resolved,
+      AVG(resolve_minutes)::float8 AS mean_minutes,
+      (percentile_cont(0.9) WITHIN GROUP (ORDER BY resolve_minutes))::float8 AS p90_minutes
+    FROM events
+    WHERE resolve_minutes IS NOT NULL
+    GROUP BY ROLLUP (provider)
+    ORDER BY provider NULLS FIRST`,
+    params
+  );
+
+  params.push(RESOLUTION_BUCKETS);
+  const histogram = await pool.query(
+    `${sql}
+    SELECT width_bucket(resolve_minutes, $${params.length}::float8[]) AS bucket, COUNT(*)::int AS count
+    FROM events
+    WHERE resolve_minutes IS NOT NULL
+    GROUP BY 1`,
+    params
+  );
+  const countsByBucket = new Map(histogram.rows.map((row) => [row.bucket, row.count]));
+
+  return {
+    days: filters.days,
+    overall: toResolutionStats(result.rows.find((row) => row.provider === null)),
+    providers: result.rows
+      .filter((row) => row.provider !== null)
+      .map((row) => ({ provider: row.provider, ...toResolutionStats(row) })),
+    distribution: [...RESOLUTION_BUCKETS, undefined].map((upper, index) => ({
+      label: formatBucket(RESOLUTION_BUCKETS[index - 1], upper),
+      maxMinutes: upper ?? null,
+      count: countsByBucket.get(index) || 0
+    }))
+  };
+}
+
+// One row per provider for side-by-side comparison
+export async function getProviderSummary(pool, filters) {
+  const { sql, params } = eventsQuery(filters);
+  const result = await pool.query(
+    `${sql}
+    SELECT
+      provider,
+      COUNT(*)::int AS incidents,
+      COUNT(*) FILTER (WHERE severity = 'critical')::int AS critical,
+      COUNT(*) FILTER (WHERE severity = 'high')::int AS high,
+      COUNT(*) FILTER (WHERE status NOT IN ('resolved', 'maintenance'))::int AS open,
+      COUNT(resolve_minutes)::int AS resolved,
+      AVG(resolve_minutes)::float8 AS mean_minutes,
+      (percentile_cont(0.9) WITHIN GROUP (ORDER BY resolve_minutes))::float8 AS p90_minutes
+    FROM events
+    GROUP BY provider
+    ORDER BY incidents DESC, provider`,
+    params
+  );
+
+  return {
+    days: filters.days,
+    providers: result.rows.map((row) => ({
+      provider: row.provider,
+      incidents: row.incidents,
+      critical: row.critical,
+      high: row.high,
+      open: row.open,
+      ...toResolutionStats(row)
+    }))
+  };
+}
+
+// Unresolved incidents, oldest first. Maintenance windows are not outages.
+export async function getLongestOpen(pool, filters) {
+  const { sql, params } = eventsQuery(filters);
+  params.push(filters.limit);
+  const result = await pool.query(
+    `${sql}
+    SELECT
+      event_id AS id, provider, title, status, severity, started_at, last_updated_at,
+      (EXTRACT(EPOCH FROM NOW() - started_at) / 60)::float8 AS open_minutes
+    FROM events
+    WHERE status NOT IN ('resolved', 'maintenance')
+    ORDER BY started_at ASC, event_id
+    LIMIT $${params.length}`,
+    params
+  );
+
+  return {
+    days: filters.days,
+    incidents: result.rows.map((row) => ({
+      id: row.id,
+      provider: row.provider,
+      title: row.title,
+      status: row.status,
+      severity: row.severity,
+      startedAt: row.started_at,
+      lastUpdatedAt: row.last_updated_at,
+      openMinutes: roundMinutes(row.open_minutes)
+    }))
+  };
+}
+
+function dayStarts(days) {
+  const today = new Date();
+  today.setUTCHours(0, 0, 0, 0);
+  return Array.from({ length: days }, (_, index) =>
+    new Date(today.getTime() - (days - 1 - index) * 24 * 60 * 60 * 1000).toISOString().slice(0, 10)
+  );
+}
+
+// Incidents a digest for [since, until) mentions: reported in the window,
+// resolved in it, or still open at its end
+export async function getDigestEvents(pool, filters, { since, until }) {
+  const { sql, params } = eventsQuery(filters);
+  params.push(since, until);
+  const sinceParam = `$${params.length - 1}`;
+  const untilParam = `$${params.length}`;
+
+  const result = await pool.query(
+    `${sql}, event_services AS (
+      SELECT event_id, array_agg(DISTINCT service ORDER BY service) AS services
+      FROM items, unnest(services) AS service
+      GROUP BY event_id
+    )
+    SELECT
+      events.event_id AS id, provider, title, summary, status, severity,
+      started_at, resolved_at, resolve_minutes, COALESCE(event_services.services, '{}') AS services
+    FROM events
+    LEFT JOIN event_services ON event_services.event_id = events.event_id
+    WHERE started_at < ${untilParam}
+      AND (started_at >= ${sinceParam} OR status <> 'resolved' OR resolved_at >= ${sinceParam})
+    ORDER BY started_at, events.event_id`,
+    params
+  );
+
+  return result.rows.map((row) => ({
+    id: row.id,
+    provider: row.provider,
+    title: row.title,
+    summary: row.summary,
+    status: row.status,
+    severity: row.severity,
+    services: row.services,
+    startedAt: row.started_at,
+    resolvedAt: row.resolved_at,
+    resolveMinutes: roundMinutes(row.resolve_minutes)
+  }));
+}
+
+// A day-by-day grid per provider (or per provider and service). An incident
+// counts on every day from its start until it was resolved, or until today
+// while it is still open; each day carries the worst severity seen.
+// `providers` adds rows for providers without incidents so they show as clear.
+export async function getAvailability(pool, filters, { groupBy, providers = [] }) {
+  const { sql, params } = eventsQuery(filters);
+  params.push(filters.days);
+  const byService = groupBy === "service";
+
+  const result = await pool.query(
+    `${sql}${byService ? `, event_services AS (
+      SELECT DISTINCT event_id, unnest(services) AS service FROM items
+    )` : ""}, event_days AS (
+      SELECT
+        events.*,
+        generate_series(
+          date_trunc('day', started_at),
+          GREATEST(
+            date_trunc('day', started_at),
+            date_trunc('day', CASE WHEN status = 'resolved' THEN COALESCE(resolved_at, last_updated_at) ELSE LOCALTIMESTAMP END)
+          ),
+          INTERVAL '1 day'
+        ) AS day
+      FROM events
+    )
+    SELECT
+      to_char(event_days.day, 'YYYY-MM-DD') AS day, event_days.provider,
+      ${byService ? "event_services.service" : "NULL"} AS service,
+      event_days.event_id AS id, event_days.title, event_days.status, event_days.severity
+    FROM event_days
+    ${byService ? "JOIN event_services ON event_services.event_id = event_days.event_id" : ""}
+    WHERE event_days.day >= date_trunc('day', LOCALTIMESTAMP) - make_interval(days => $${params.length} - 1)
+    ORDER BY event_days.day, event_days.started_at, event_days.event_id`,
+    params
+  );
+
+  const dates = dayStarts(filters.days);
+  const rows = new Map();
+  const rowFor = (provider, service) => {
+    const key = `${provider}\u0000${service ?? ""}`;
+    if (!rows.has(key)) {
+      rows.set(key, {
+        provider,
+        ...(byService ? { service } : {}),
+        days: new Map(dates.map((date) => [date, { date, severity: null, incidents: [] }]))
+      });
+    }
+    return rows.get(key);
+  };
+
+  if (!byService) {
+    providers
+      .filter((provider) => !filters.providers.length || filters.providers.includes(provider.toLowerCase()))
+      .forEach((provider) => rowFor(provider, null));
+  }
+
+  result.rows.forEach((row) => {
+    const day = rowFor(row.provider, row.service).days.get(row.day);
+    if (!day) return;
+    day.incidents.push({ id: row.id, title: row.title, status: row.status, severity: row.severity });
+    if (day.severity === null || severityRank(row.severity) < severityRank(day.severity)) {
+      day.severity = row.severity;
+    }
+  });
+
+  return {
+    days: filters.days,
+    groupBy: byService ? "service" : "provider",
+    dates,
+    rows: Array.from(rows.values())
+      .map((row) => ({ ...row, days: Array.from(row.days.values()) }))
+      .sort((a, b) => a.provider.localeCompare(b.provider) || (a.service || "").localeCompare(b.service || ""))
+  };
+}
@@ -0,0 +1,78 @@
+import crypto from "crypto";
+
+// Server-Sent Events for incident changes. Event ids are "<boot id>-<sequence>"
+// so a Last-Event-ID from before a restart is recognised as unusable.
+
+const HEARTBEAT_MS = 25 * 1000;
+const RECONNECT_DELAY_MS = 5 * 1000;
+const MAX_BUFFERED_EVENTS = 500;
+
+const bootId = crypto.randomBytes(4).toString("hex");
+let sequence = 0;
+const recentEvents = [];
+const clients = new Set();
+
+function writeEvent(res, event) {
+  res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+}
+
+// Events after lastEventId, or null when they are no longer all buffered
+function eventsSince(lastEventId) {
+  const [eventBootId, eventSequence] = String(lastEventId).split("-");
+  const lastSequence = Number(eventSequence);
+  if (eventBootId !== bootId || !Number.isInteger(lastSequence)) return null;
+
+  const oldest = recentEvents[0];
+  if (oldest && oldest.sequence > lastSequence + 1) return null;
+  return recentEvents.filter((event) => event.sequence > lastSequence);
+}
+
+export function publishEvent(type, data) {
+  sequence += 1;
+  const event = { id: `${bootId}-${sequence}`, sequence, type, data };
+
+  recentEvents.push(event);
+  if (recentEvents.length > MAX_BUFFERED_EVENTS) {
+    recentEvents.shift();
+  }
+
+  clients.forEach((res) => writeEvent(res, event));
+}
+
+export function getStreamClientCount() {
+  return clients.size;
+}
+
+// Resumes from Last-Event-ID when possible; otherwise starts the client off
+// with a full snapshot so it never has to guess what it missed.
+export function handleStream(req, res, getSnapshot) {
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no"
+  });
+  res.write(`retry: ${RECONNECT_DELAY_MS}\n\n`);
+
+  const lastEventId = req.get("last-event-id") || req.query.lastEventId;
+  const missed = lastEventId ? eventsSince(lastEventId) : null;
+
+  if (missed) {
+    missed.forEach((event) => writeEvent(res, event));
+  } else {
+    writeEvent(res, {
+      id: `${bootId}-${sequence}`,
+      type: "snapshot",
+      data: getSnapshot()
+    });
+  }
+
+  clients.add(res);
+  req.on("close", () => {
+    clients.delete(res);
+  });
+}
+
+setInterval(() => {
+  clients.forEach((res) => res.write(": heartbeat\n\n"));
+}, HEARTBEAT_MS).unref();
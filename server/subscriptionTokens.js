@@ -0,0 +1,43 @@
+import crypto from "crypto";
+import { Buffer } from "buffer";
+
+// Signed links for email subscriptions: confirming an address, changing its
+// preferences and unsubscribing. A token is "<payload>.<signature>", both
+// base64url, where the payload names the address, what the link is for and
+// when it stops working.
+
+export const TOKEN_TTL_MS = {
+  confirm: 48 * 60 * 60 * 1000,
+  manage: 365 * 24 * 60 * 60 * 1000,
+  unsubscribe: 365 * 24 * 60 * 60 * 1000
+};
+
+function sign(secret, payload) {
+  return crypto.createHmac("sha256", secret).update(payload).digest("base64url");
+}
+
+export function createSubscriptionToken(secret, email, purpose, now = Date.now()) {
+  const payload = Buffer.from(
+    JSON.stringify({ email, purpose, expiresAt: now + TOKEN_TTL_MS[purpose] })
+  ).toString("base64url");
+  return `${payload}.${sign(secret, payload)}`;
+}
+
+// Resolves to the email address, or null when the token is forged, expired
+// or meant for something else
+export function verifySubscriptionToken(secret, token, purpose, now = Date.now()) {
+  const [payload, signature] = String(token || "").split(".");
+  if (!payload || !signature) return null;
+
+  const expected = Buffer.from(sign(secret, payload));
+  const given = Buffer.from(signature);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+
+  try {
+    const data = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+    if (data.purpose !== purpose || !(data.expiresAt > now) || typeof data.email !== "string") return null;
+    return data.email;
+  } catch {
+    return null;
+  }
+}
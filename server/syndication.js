@@ -0,0 +1,124 @@
+import { SEVERITIES, severityRank } from "./severity.js";
+
+// Republishes the normalized, correlated cache as Atom and JSON Feed 1.1 so it
+// can be followed from a feed reader. One entry per correlated incident.
+
+const MAX_ENTRIES = 100;
+
+export const FEED_SEVERITIES = SEVERITIES;
+
+export const FEED_FORMATS = {
+  atom: "application/atom+xml; charset=utf-8",
+  json: "application/feed+json; charset=utf-8"
+};
+
+// Control characters other than tab, newline and carriage return are not allowed anywhere in XML 1.0
+function isXmlChar(char) {
+  const code = char.codePointAt(0);
+  return code >= 0x20 || code === 0x09 || code === 0x0a || code === 0x0d;
+}
+
+function escapeXml(value) {
+  return Array.from(String(value ?? ""))
+    .filter(isXmlChar)
+    .join("")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function toIso(value, fallback) {
+  const time = value ? Date.parse(value) : NaN;
+  return new Date(Number.isNaN(time) ? fallback : time).toISOString();
+}
+
+function entryId(incident) {
+  return `urn:watch-sys:incident:${encodeURIComponent(incident.id)}`;
+}
+
+// Incidents at `severity` or worse, newest update first
+export function selectEntries(incidents, { provider, severity } = {}) {
+  return incidents
+    .filter((incident) => !provider || String(incident.provider).toLowerCase() === provider.toLowerCase())
+    .filter((incident) => !severity || severityRank(incident.severity) <= severityRank(severity))
+    .sort((a, b) => Date.parse(b.publishedAt || 0) - Date.parse(a.publishedAt || 0))
+    .slice(0, MAX_ENTRIES);
+}
+
+function categories(incident) {
+  return [
+    { scheme: "status", term: incident.status },
+    { scheme: "severity", term: incident.severity },
+    { scheme: "provider", term: incident.provider },
+    ...(incident.services || []).map((service) => ({ scheme: "service", term: service })),
+    ...(incident.regions || []).map((region) => ({ scheme: "region", term: region }))
+  ].filter((category) => category.term);
+}
+
+export function buildAtomFeed({ title, selfUrl, homeUrl, updatedAt, incidents }) {
+  const updated = toIso(incidents[0]?.publishedAt, updatedAt || Date.now());
+  const entries = incidents.map((incident) => {
+    const published = toIso(incident.firstPublishedAt || incident.publishedAt, updatedAt || Date.now());
+    return [
+      "  <entry>",
+      `    <id>${escapeXml(entryId(incident))}</id>`,
+      `    <title type="text">${escapeXml(incident.title)}</title>`,
+      `    <published>${published}</published>`,
+      `    <updated>${toIso(incident.publishedAt, published)}</updated>`,
+      `    <author><name>${escapeXml(incident.source || incident.provider)}</name></author>`,
+      incident.link ? `    <link rel="alternate" href="${escapeXml(incident.link)}"/>` : null,
+      ...categories(incident).map(
+        (category) =>
+          `    <category scheme="urn:watch-sys:${category.scheme}" term="${escapeXml(category.term)}" label="${escapeXml(`${category.scheme}: ${category.term}`)}"/>`
+      ),
+      `    <summary type="text">${escapeXml(incident.summary)}</summary>`,
+      "  </entry>"
+    ]
+      .filter(Boolean)
+      .join("\n");
+  });
+
+  return [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <id>${escapeXml(selfUrl)}</id>`,
+    `  <title>${escapeXml(title)}</title>`,
+    `  <updated>${updated}</updated>`,
+    `  <link rel="self" type="application/atom+xml" href="${escapeXml(selfUrl)}"/>`,
+    `  <link rel="alternate" type="text/html" href="${escapeXml(homeUrl)}"/>`,
+    "  <generator>Watch Sys</generator>",
+    ...entries,
+    "</feed>",
+    ""
+  ].join("\n");
+}
+
+export function buildJsonFeed({ title, selfUrl, homeUrl, updatedAt, incidents }) {
+  return {
+    version: "https://jsonfeed.org/version/1.1",
+    title,
+    home_page_url: homeUrl,
+    feed_url: selfUrl,
+    description: "Cloud provider incidents, normalized and de-duplicated by Watch Sys",
+    items: incidents.map((incident) => ({
+      id: entryId(incident),
+      url: incident.link || undefined,
+      title: incident.title,
+      content_text: incident.summary || incident.title,
+      date_published: toIso(incident.firstPublishedAt || incident.publishedAt, updatedAt || Date.now()),
+      date_modified: toIso(incident.publishedAt, updatedAt || Date.now()),
+      authors: [{ name: incident.source || incident.provider }],
+      tags: categories(incident).map((category) => `${category.scheme}:${category.term}`),
+      _watch_sys: {
+        id: incident.id,
+        provider: incident.provider,
+        status: incident.status,
+        severity: incident.severity,
+        services: incident.services || [],
+        regions: incident.regions || [],
+        sources: incident.sources || []
+      }
+    }))
+  };
+}
@@ -0,0 +1,188 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import process from "node:process";
+import { after, before, mock, test } from "node:test";
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "watch-sys-policies-"));
+const policiesPath = path.join(dir, "policies.json");
+process.env.POLICIES_CONFIG_PATH = policiesPath;
+
+fs.writeFileSync(
+  policiesPath,
+  JSON.stringify({
+    default: { minSeverity: "low" },
+    channels: {
+      slack: { collapseMinutes: 15, escalateAfterMinutes: 60, escalateOnSeverityIncrease: true },
+      email: { minSeverity: "medium", quietHours: { start: "22:00", end: "07:00", timezone: "Europe/Berlin" } }
+    },
+    routes: {
+      "ops-aws": { collapseMinutes: 0 },
+      negative: { collapseMinutes: -1 },
+      proto: { minSeverity: "constructor" },
+      nowhere: { quietHours: { start: "22:00", end: "07:00", timezone: "Mars/Olympus_Mons" } }
+    }
+  })
+);
+
+const { applyAlertPolicy, collapseEntries, isQuietTime, loadPolicies, policyFor, releaseHeldAlerts } = await import(
+  "../alertPolicy.js"
+);
+
+let warnings = [];
+before(() => {
+  const warn = mock.method(console, "warn", () => {});
+  loadPolicies();
+  warnings = warn.mock.calls.map((call) => call.arguments[0]);
+  warn.mock.restore();
+});
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const MINUTE = 60 * 1000;
+// 2026-10-19 is in summer time in Berlin, UTC+2
+const utc = (hour, minute = 0) => Date.UTC(2026, 9, 19, hour, minute);
+
+function incident(id, fields) {
+  return {
+    id,
+    provider: "AWS",
+    title: `Incident ${id}`,
+    status: "investigating",
+    severity: "high",
+    publishedAt: new Date(utc(12)).toISOString(),
+    ...fields
+  };
+}
+
+function update(fields) {
+  return { newIncidents: [], statusChanges: [], escalated: [], openIncidents: [], ...fields };
+}
+
+const ids = (list) => list.map((entry) => entry.id);
+
+test("policies merge default, channel and route, skipping invalid ones", () => {
+  assert.equal(warnings.length, 3);
+  assert.deepEqual(policyFor("slack", "ops-aws"), {
+    minSeverity: "low",
+    collapseMinutes: 0,
+    quietHours: null,
+    escalateAfterMinutes: 60,
+    escalateOnSeverityIncrease: true
+  });
+  assert.equal(policyFor("slack", "negative").collapseMinutes, 15);
+  assert.equal(policyFor("email", "proto").minSeverity, "medium");
+  assert.equal(policyFor("teams").collapseMinutes, 0);
+});
+
+test("quiet hours wrap past midnight in their own time zone", () => {
+  const policy = policyFor("email");
+  assert.equal(isQuietTime(policy, utc(19, 59)), false);
+  assert.equal(isQuietTime(policy, utc(20)), true);
+  assert.equal(isQuietTime(policy, utc(4, 59)), true);
+  assert.equal(isQuietTime(policy, utc(5)), false);
+  assert.equal(isQuietTime(policyFor("slack"), utc(23)), false);
+});
+
+test("quiet hours that don't wrap", () => {
+  const policy = { quietHours: { start: 9 * 60, end: 17 * 60, timezone: "UTC" } };
+  assert.equal(isQuietTime(policy, utc(8, 59)), false);
+  assert.equal(isQuietTime(policy, utc(9)), true);
+  assert.equal(isQuietTime(policy, utc(17)), false);
+});
+
+test("collapsing keeps one entry per incident", () => {
+  const collapsed = collapseEntries([
+    { kind: "new", incident: incident("a", { status: "investigating" }) },
+    { kind: "change", incident: incident("a", { previousStatus: "investigating", status: "monitoring" }) },
+    { kind: "change", incident: incident("b", { previousStatus: "investigating", status: "monitoring" }) },
+    { kind: "change", incident: incident("b", { previousStatus: "monitoring", status: "resolved" }) }
+  ]);
+  assert.equal(collapsed.newIncidents.length, 1);
+  assert.equal(collapsed.newIncidents[0].status, "monitoring");
+  assert.deepEqual(
+    collapsed.statusChanges.map((entry) => [entry.id, entry.previousStatus, entry.status]),
+    [["b", "investigating", "resolved"]]
+  );
+});
+
+test("updates within the collapse window are held and released together", async () => {
+  const target = { destination: "slack", channel: "slack", route: null };
+  const first = await applyAlertPolicy(null, target, update({ newIncidents: [incident("a")] }), utc(12));
+  assert.deepEqual(ids(first.newIncidents), ["a"]);
+
+  const changed = incident("a", { previousStatus: "investigating", status: "resolved" });
+  assert.equal(await applyAlertPolicy(null, target, update({ statusChanges: [changed] }), utc(12, 5)), null);
+  assert.equal(await applyAlertPolicy(null, target, update({ newIncidents: [incident("b")] }), utc(12, 10)), null);
+  assert.deepEqual(await releaseHeldAlerts(null, utc(12, 14)), []);
+
+  const [released, ...rest] = await releaseHeldAlerts(null, utc(12, 15));
+  assert.equal(rest.length, 0);
+  assert.equal(released.destination, "slack");
+  assert.deepEqual(ids(released.update.newIncidents), ["b"]);
+  assert.deepEqual(ids(released.update.statusChanges), ["a"]);
+  assert.deepEqual(await releaseHeldAlerts(null, utc(12, 30)), []);
+});
+
+test("quiet hours hold everything but critical alerts", async () => {
+  const target = { destination: "email:ops@example.test", channel: "email", route: null };
+  const night = utc(21);
+
+  const low = incident("low", { severity: "low" });
+  const high = incident("high");
+  assert.equal(await applyAlertPolicy(null, target, update({ newIncidents: [low, high] }), night), null);
+
+  const critical = incident("critical", { severity: "critical" });
+  const sent = await applyAlertPolicy(null, target, update({ newIncidents: [critical] }), night + MINUTE);
+  assert.deepEqual(ids(sent.newIncidents), ["critical"]);
+
+  assert.deepEqual(await releaseHeldAlerts(null, utc(4, 59) + 24 * 60 * MINUTE), []);
+  const released = await releaseHeldAlerts(null, utc(5) + 24 * 60 * MINUTE);
+  assert.deepEqual(
+    released.map((entry) => [entry.destination, ids(entry.update.newIncidents)]),
+    [["email:ops@example.test", ["high"]]]
+  );
+});
+
+test("incidents open too long are escalated once, after a baseline", async () => {
+  const target = { destination: "route:ops-aws", channel: "slack", route: "ops-aws" };
+  const old = incident("old", { publishedAt: new Date(utc(10)).toISOString() });
+  const recent = incident("recent", { publishedAt: new Date(utc(11, 30)).toISOString() });
+  const resolved = incident("resolved", { status: "resolved", publishedAt: new Date(utc(9)).toISOString() });
+
+  // Whatever is overdue when escalation starts is the baseline
+  assert.equal(await applyAlertPolicy(null, target, update({ openIncidents: [old, recent] }), utc(12)), null);
+
+  const later = update({ openIncidents: [old, recent, resolved] });
+  const escalated = await applyAlertPolicy(null, target, later, utc(12, 45));
+  assert.deepEqual(escalated.escalations.map((entry) => [entry.id, entry.escalation]), [
+    ["recent", "unresolved for 1h 15m"]
+  ]);
+  assert.equal(await applyAlertPolicy(null, target, later, utc(13)), null);
+});
+
+test("an escalated incident is only escalated again after it was resolved", async () => {
+  const target = { destination: "route:ops-gcp", channel: "slack", route: "ops-gcp" };
+  const stuck = incident("stuck", { publishedAt: new Date(utc(11, 30)).toISOString() });
+
+  assert.equal(await applyAlertPolicy(null, target, update({ openIncidents: [] }), utc(12)), null);
+  assert.equal((await applyAlertPolicy(null, target, update({ openIncidents: [stuck] }), utc(12, 45))).escalations.length, 1);
+  assert.equal(await applyAlertPolicy(null, target, update({ openIncidents: [stuck] }), utc(12, 45) + 40 * 24 * 60 * MINUTE), null);
+
+  const resolved = { ...stuck, status: "resolved" };
+  assert.equal(await applyAlertPolicy(null, target, update({ openIncidents: [resolved] }), utc(13)), null);
+  const reopened = await applyAlertPolicy(null, target, update({ openIncidents: [stuck] }), utc(13, 15));
+  assert.deepEqual(reopened.escalations.map((entry) => entry.id), ["stuck"]);
+});
+
+test("a severity increase is announced as an escalation", async () => {
+  const target = { destination: "route:ops-aws-severity", channel: "slack", route: "ops-aws" };
+  const worse = incident("a", { severity: "critical", previousSeverity: "high" });
+  const sent = await applyAlertPolicy(null, target, update({ escalated: [worse] }), utc(12));
+  assert.deepEqual(sent.escalations.map((entry) => entry.escalation), ["severity raised from high to critical"]);
+
+  // Only for policies that ask for it
+  const emailTarget = { destination: "email:dev@example.test", channel: "email", route: null };
+  assert.equal(await applyAlertPolicy(null, emailTarget, update({ escalated: [worse] }), utc(12)), null);
+});
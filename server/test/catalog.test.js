@@ -0,0 +1,49 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { extractEntities, resolveRegion, resolveService } from "../catalog.js";
+
+test("extracts services and regions by name, alias or code", () => {
+  assert.deepEqual(
+    extractEntities({
+      provider: "AWS",
+      title: "Increased error rates",
+      summary: "S3 requests in the N. Virginia region are failing"
+    }),
+    { services: ["Amazon S3"], regions: ["us-east-1"] }
+  );
+});
+
+test("a region name doesn't match the start of a longer one", () => {
+  assert.deepEqual(extractEntities({ provider: "Azure", title: "Virtual Machines in East US 2" }).regions, ["eastus2"]);
+  assert.deepEqual(extractEntities({ provider: "Azure", title: "Virtual Machines in East US" }).regions, ["eastus"]);
+});
+
+test("a region code doesn't match inside a longer code", () => {
+  assert.deepEqual(extractEntities({ provider: "Azure", title: "Outage", summary: "Affects eastus2" }).regions, [
+    "eastus2"
+  ]);
+});
+
+test("only the incident's own provider catalog is used", () => {
+  assert.deepEqual(extractEntities({ provider: "GCP", title: "S3 in us-east-1" }), { services: [], regions: [] });
+  assert.deepEqual(extractEntities({ provider: "Unknown", title: "East US" }), { services: [], regions: [] });
+});
+
+test("Statuspage components are kept as services", () => {
+  assert.deepEqual(extractEntities({ provider: "GCP", title: "Delays", components: ["Cloud Pub/Sub"] }).services, [
+    "Cloud Pub/Sub"
+  ]);
+});
+
+test("resolveService and resolveRegion map aliases onto stored names", () => {
+  assert.equal(resolveService("s3"), "Amazon S3");
+  assert.equal(resolveService(" Simple Storage Service "), "Amazon S3");
+  assert.equal(resolveRegion("Ohio"), "us-east-2");
+  assert.equal(resolveRegion("East US 2"), "eastus2");
+});
+
+test("unknown filter values fall back to themselves", () => {
+  assert.equal(resolveService("Widget API"), "Widget API");
+  assert.equal(resolveRegion(" Mars-1 "), "mars-1");
+  assert.equal(resolveRegion(undefined), "");
+});
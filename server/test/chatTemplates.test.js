@@ -0,0 +1,70 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { chatMessage, discordMessage, slackMessage, teamsMessage } from "../chatTemplates.js";
+
+const dashboardUrl = "https://status.example.test/";
+
+function incident(fields) {
+  return {
+    id: "a",
+    provider: "AWS",
+    title: "S3 errors",
+    summary: "Requests fail",
+    status: "investigating",
+    severity: "medium",
+    source: "AWS Health",
+    link: "https://health.aws.amazon.com/",
+    ...fields
+  };
+}
+
+const update = {
+  newIncidents: [incident({ title: "Minor", severity: "low" })],
+  escalations: [incident({ title: "Long", severity: "high", escalation: "unresolved for 2h 0m" })],
+  statusChanges: [incident({ title: "Done", severity: "critical", previousStatus: "monitoring", status: "resolved" })],
+  dashboardUrl
+};
+
+test("Discord embeds are ordered worst first, with resolutions in green", () => {
+  const message = discordMessage(update);
+  assert.equal(message.content, "**Cloud incident updates: 1 new incident, 1 escalation, 1 status change**");
+  assert.deepEqual(
+    message.embeds.map((embed) => [embed.author.name, embed.color]),
+    [
+      ["Resolved", 0x16a34a],
+      ["Escalated: unresolved for 2h 0m", 0xd97706],
+      ["New incident", 0x64748b]
+    ]
+  );
+  assert.deepEqual(message.allowed_mentions, { parse: [] });
+});
+
+test("Discord caps the embeds and points to the dashboard for the rest", () => {
+  const newIncidents = Array.from({ length: 12 }, (_, index) => incident({ id: `i${index}` }));
+  const message = discordMessage({ newIncidents, dashboardUrl });
+  assert.equal(message.embeds.length, 10);
+  assert.match(message.content, /…and 2 more on the dashboard: https:\/\/status\.example\.test\/$/);
+});
+
+test("Teams gets an Adaptive Card with a container per incident", () => {
+  const card = teamsMessage(update).attachments[0].content;
+  assert.equal(card.type, "AdaptiveCard");
+  assert.deepEqual(card.body.slice(1).map((container) => container.style), ["good", "warning", "emphasis"]);
+  assert.deepEqual(card.actions, [{ type: "Action.OpenUrl", title: "Open the dashboard", url: dashboardUrl }]);
+});
+
+test("Slack escapes mrkdwn and keeps a plain-text fallback", () => {
+  const message = slackMessage({ newIncidents: [incident({ title: "<b> & | co", link: "https://x.test/?a=1&b=2" })] });
+  assert.equal(message.text, "Cloud incident updates: 1 new incident");
+  const section = message.attachments[0].blocks[0];
+  assert.equal(
+    section.text.text,
+    "New incident\n*<https://x.test/?a=1&amp;b=2|[MEDIUM] &lt;b&gt; &amp; ¦ co>*\nRequests fail"
+  );
+  assert.equal(message.attachments[0].color, "#2563eb");
+});
+
+test("chatMessage picks the template by channel", () => {
+  assert.deepEqual(chatMessage("slack", update), slackMessage(update));
+  assert.deepEqual(chatMessage("teams", update), teamsMessage(update));
+});
@@ -0,0 +1,105 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import process from "node:process";
+import { after, test } from "node:test";
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "watch-sys-rules-"));
+const rulesPath = path.join(dir, "rules.json");
+process.env.RULES_CONFIG_PATH = rulesPath;
+
+// Rules are reloaded by mtime, so every write moves it forward explicitly
+let version = 0;
+function writeRules(config) {
+  fs.writeFileSync(rulesPath, typeof config === "string" ? config : JSON.stringify(config));
+  const time = new Date(Date.now() + ++version * 1000);
+  fs.utimesSync(rulesPath, time, time);
+}
+
+writeRules({
+  status: {
+    default: "info",
+    rules: [
+      { id: "resolved", value: "resolved", phrases: ["has been resolved"], unless: "\\bnot\\b", confidence: 0.9 },
+      { id: "outage", value: "incident", pattern: "\\boutage\\b", field: "title", confidence: 0.8 },
+      { id: "broken", value: "incident", confidence: 0.8 },
+      { id: "bad-field", value: "incident", phrases: ["x"], field: "body" }
+    ]
+  },
+  severity: {
+    default: "low",
+    defaultConfidence: 0.2,
+    rules: [{ id: "critical", value: "critical", phrases: ["outage"], confidence: 0.7 }]
+  },
+  providers: {
+    AWS: { status: [{ id: "aws-normal", value: "resolved", pattern: "^operating normally", field: "title" }] }
+  }
+});
+
+const { classify, explainClassification, loadRules } = await import("../classifier.js");
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test("classify returns the first matching rule's values and the lower confidence", () => {
+  assert.deepEqual(classify({ title: "Major outage in us-east-1" }), {
+    status: "incident",
+    severity: "critical",
+    confidence: 0.7
+  });
+});
+
+test("phrases match whole words only", () => {
+  assert.equal(classify({ title: "Outages are rare" }).status, "info");
+});
+
+test("field limits where a rule looks", () => {
+  assert.equal(classify({ title: "Networking", summary: "An outage is ongoing" }).status, "info");
+});
+
+test("unless vetoes an otherwise matching rule", () => {
+  assert.equal(classify({ summary: "The issue has been resolved" }).status, "resolved");
+  assert.equal(classify({ summary: "The issue has been resolved, but not for everyone" }).status, "info");
+});
+
+test("falls back to the defaults when nothing matches", () => {
+  assert.deepEqual(classify({ title: "Scheduled update" }), { status: "info", severity: "low", confidence: 0.2 });
+});
+
+test("provider rules run before the global rules", () => {
+  const title = "Operating normally after the outage";
+  assert.equal(classify({ title, provider: "aws" }).status, "resolved");
+  assert.equal(classify({ title, provider: "GCP" }).status, "incident");
+});
+
+test("invalid rules are skipped", () => {
+  const ids = loadRules().status.rules.map((rule) => rule.id);
+  assert.deepEqual(ids, ["resolved", "outage"]);
+});
+
+test("explainClassification traces every rule tried", () => {
+  const { status } = explainClassification({ summary: "Has been resolved, not really" });
+  assert.equal(status.ruleId, null);
+  assert.deepEqual(
+    status.trace.map(({ ruleId, matched, vetoed }) => ({ ruleId, matched, vetoed })),
+    [
+      { ruleId: "resolved", matched: true, vetoed: true },
+      { ruleId: "outage", matched: false, vetoed: false }
+    ]
+  );
+});
+
+test("rule edits apply once the rules are reloaded", () => {
+  writeRules({ status: { rules: [{ id: "any", value: "degraded", pattern: "." }] } });
+  assert.equal(classify({ title: "Anything" }).status, "info");
+
+  loadRules();
+  assert.equal(classify({ title: "Anything" }).status, "degraded");
+});
+
+test("a rules file that doesn't parse keeps the previous rules", (t) => {
+  t.mock.method(console, "error", () => {});
+  writeRules("{ not json");
+  loadRules();
+  assert.equal(classify({ title: "Anything" }).status, "degraded");
+});
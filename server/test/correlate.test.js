@@ -0,0 +1,77 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { correlateIncidents } from "../correlate.js";
+
+const at = (hour) => new Date(Date.UTC(2026, 9, 19, hour)).toISOString();
+
+const investigating = {
+  id: "a",
+  provider: "AWS",
+  source: "AWS Health",
+  title: "Increased error rates for Amazon S3 in us-east-1",
+  status: "investigating",
+  severity: "medium",
+  regions: ["us-east-1"],
+  publishedAt: at(1)
+};
+const update = {
+  ...investigating,
+  id: "b",
+  title: "Update: increased error rates for Amazon S3 in us-east-1",
+  status: "monitoring",
+  severity: "high",
+  publishedAt: at(2)
+};
+const resolved = {
+  ...investigating,
+  id: "c",
+  source: "AWS RSS",
+  title: "Resolved: increased error rates for Amazon S3 in us-east-1",
+  status: "resolved",
+  severity: "low",
+  publishedAt: at(3)
+};
+
+test("groups updates about the same event into one incident", () => {
+  const [incident, ...rest] = correlateIncidents([resolved, investigating, update]);
+  assert.equal(rest.length, 0);
+  assert.equal(incident.id, "a");
+  assert.equal(incident.status, "resolved");
+  assert.equal(incident.severity, "high");
+  assert.equal(incident.firstPublishedAt, at(1));
+  assert.deepEqual(incident.sources, ["AWS RSS", "AWS Health"]);
+  assert.deepEqual(incident.children.map((item) => item.id), ["c", "b", "a"]);
+});
+
+test("keeps events in different regions apart", () => {
+  const elsewhere = { ...update, id: "d", regions: ["eu-west-1"] };
+  assert.equal(correlateIncidents([investigating, elsewhere]).length, 2);
+});
+
+test("keeps events far apart in time apart", () => {
+  const later = { ...update, id: "d", publishedAt: at(20) };
+  assert.equal(correlateIncidents([investigating, later]).length, 2);
+});
+
+test("keeps unrelated titles apart", () => {
+  const other = { ...update, id: "d", title: "Elevated latency for Amazon DynamoDB in us-east-1" };
+  assert.equal(correlateIncidents([investigating, other]).length, 2);
+});
+
+test("a group keeps its id once its earliest item leaves the feed", () => {
+  const first = correlateIncidents([investigating, update, resolved]);
+  const groupIds = new Map(first.flatMap((incident) => incident.children.map((item) => [item.id, incident.id])));
+
+  assert.equal(correlateIncidents([update, resolved])[0].id, "b");
+  assert.equal(correlateIncidents([update, resolved], { groupIds })[0].id, "a");
+});
+
+test("groups that split never share an id", () => {
+  const groupIds = new Map([
+    ["a", "a"],
+    ["d", "a"]
+  ]);
+  const elsewhere = { ...update, id: "d", regions: ["eu-west-1"] };
+  const ids = correlateIncidents([investigating, elsewhere], { groupIds }).map((incident) => incident.id);
+  assert.deepEqual(ids.sort(), ["a", "d"]);
+});
@@ -0,0 +1,39 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { diffSnapshots } from "../diff.js";
+
+const snapshot = (...incidents) => ({ providers: [{ provider: "AWS", incidents }] });
+const incident = { id: "a", provider: "AWS", title: "S3 errors", status: "investigating", severity: "medium" };
+
+test("everything is created when there was no previous snapshot", () => {
+  const changes = diffSnapshots({}, snapshot(incident));
+  assert.deepEqual(changes, { created: [{ incident }], updated: [], resolved: [], removed: [] });
+});
+
+test("unchanged incidents are not reported", () => {
+  const changes = diffSnapshots(snapshot(incident), snapshot({ ...incident }));
+  assert.deepEqual(changes, { created: [], updated: [], resolved: [], removed: [] });
+});
+
+test("reports updates with the previous status and severity", () => {
+  const next = { ...incident, status: "monitoring", severity: "high" };
+  const { updated } = diffSnapshots(snapshot(incident), snapshot(next));
+  assert.deepEqual(updated, [{ incident: next, previousStatus: "investigating", previousSeverity: "medium" }]);
+});
+
+test("a new member in a correlated group counts as an update", () => {
+  const grouped = { ...incident, children: [{ id: "a" }, { id: "b" }] };
+  assert.equal(diffSnapshots(snapshot(incident), snapshot(grouped)).updated.length, 1);
+});
+
+test("a change into resolved is reported as resolved", () => {
+  const next = { ...incident, status: "resolved" };
+  const changes = diffSnapshots(snapshot(incident), snapshot(next));
+  assert.deepEqual(changes.resolved, [{ incident: next, previousStatus: "investigating" }]);
+  assert.deepEqual(changes.updated, []);
+});
+
+test("incidents that left the feeds are removed", () => {
+  const { removed } = diffSnapshots(snapshot(incident), snapshot());
+  assert.deepEqual(removed, [{ id: "a", provider: "AWS" }]);
+});
@@ -0,0 +1,86 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { buildDigest, digestSubject, digestWindow, renderDigestText } from "../digest.js";
+import { DEFAULT_PREFERENCES } from "../preferences.js";
+
+const HOUR = 60 * 60 * 1000;
+// Wednesday 2026-10-21 10:00 UTC
+const NOW = Date.UTC(2026, 9, 21, 10);
+
+// Stands in for the database: getDigestEvents() only needs query() to return rows
+function fakePool(rows) {
+  return { query: async () => ({ rows }) };
+}
+
+function row(id, fields) {
+  return {
+    id,
+    provider: "AWS",
+    title: `Incident ${id}`,
+    summary: "",
+    status: "investigating",
+    severity: "medium",
+    services: [],
+    resolved_at: null,
+    resolve_minutes: null,
+    ...fields
+  };
+}
+
+test("a daily digest covers the day before the latest send time", () => {
+  const { since, until } = digestWindow("daily", { now: NOW, hour: 8 });
+  assert.equal(until.toISOString(), "2026-10-21T08:00:00.000Z");
+  assert.equal(since.toISOString(), "2026-10-20T08:00:00.000Z");
+});
+
+test("before the send hour the previous day's digest is due", () => {
+  const { until } = digestWindow("daily", { now: NOW, hour: 12 });
+  assert.equal(until.toISOString(), "2026-10-20T12:00:00.000Z");
+});
+
+test("a weekly digest ends on the latest Monday", () => {
+  const { since, until } = digestWindow("weekly", { now: NOW, hour: 8 });
+  assert.equal(until.toISOString(), "2026-10-19T08:00:00.000Z");
+  assert.equal(since.toISOString(), "2026-10-12T08:00:00.000Z");
+});
+
+test("buildDigest sorts events into new, resolved and still open", async () => {
+  const inWindow = new Date(Date.UTC(2026, 9, 20, 12));
+  const before = new Date(Date.UTC(2026, 9, 18));
+  const pool = fakePool([
+    row("new-open", { started_at: inWindow, severity: "low" }),
+    row("new-resolved", {
+      started_at: inWindow,
+      status: "resolved",
+      severity: "critical",
+      resolved_at: new Date(inWindow.getTime() + HOUR),
+      resolve_minutes: 60
+    }),
+    row("old-open", { started_at: before, provider: "GCP" }),
+    row("resolved-since", { started_at: before, status: "resolved", resolved_at: new Date(NOW) }),
+    row("filtered", { started_at: inWindow, provider: "Azure" })
+  ]);
+  const preferences = { ...DEFAULT_PREFERENCES, providers: ["AWS", "GCP"] };
+  const digest = await buildDigest(pool, "daily", preferences, { now: NOW, hour: 8 });
+
+  const ids = (list) => list.map((incident) => incident.id);
+  assert.deepEqual(ids(digest.newIncidents), ["new-resolved", "new-open"]);
+  assert.deepEqual(ids(digest.resolved), ["new-resolved"]);
+  assert.deepEqual(ids(digest.stillOpen), ["old-open", "resolved-since", "new-open"]);
+  assert.deepEqual(digest.providers, [
+    { provider: "AWS", new: 2, resolved: 1, open: 2 },
+    { provider: "GCP", new: 0, resolved: 0, open: 1 }
+  ]);
+
+  assert.equal(digestSubject(digest), "Daily cloud incident digest: 2 new, 3 open, 1 resolved");
+  const text = renderDigestText(digest);
+  assert.match(text, /^Cloud incidents for the day ending 2026-10-21 08:00 UTC/);
+  assert.match(text, /• \[critical\] AWS: Incident new-resolved \(resolved after 1h 0m\)/);
+  assert.match(text, /• \[medium\] AWS: Incident resolved-since \(resolved since, started 2026-10-18\)/);
+});
+
+test("an empty digest says so", async () => {
+  const digest = await buildDigest(fakePool([]), "weekly", DEFAULT_PREFERENCES, { now: NOW, hour: 8 });
+  assert.equal(digestSubject(digest), "Weekly cloud incident digest: 0 new, 0 open, 0 resolved");
+  assert.match(renderDigestText(digest), /No incidents\. All quiet\.$/);
+});
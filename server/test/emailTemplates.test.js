@@ -0,0 +1,64 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { alertEmail, confirmationEmail, EMAIL_TEMPLATES, sampleEmail } from "../emailTemplates.js";
+
+const links = {
+  dashboard: "https://status.example.test/",
+  manage: "https://status.example.test/?manage=abc",
+  unsubscribe: "https://status.example.test/api/subscriptions/email/unsubscribe?token=def",
+  confirm: "https://status.example.test/api/subscriptions/email/confirm?token=ghi"
+};
+const NOW = Date.UTC(2026, 9, 19, 12);
+
+function incident(fields) {
+  return { provider: "AWS", title: "S3 errors", status: "investigating", severity: "low", ...fields };
+}
+
+test("the alert subject names the worst incident and counts the rest", () => {
+  const { subject } = alertEmail({
+    newIncidents: [incident({ title: "Minor" }), incident({ provider: "GCP", title: "Outage", severity: "critical" })],
+    statusChanges: [incident({ previousStatus: "investigating", status: "resolved" })]
+  });
+  assert.equal(subject, "[CRITICAL] GCP: Outage (+2 more)");
+});
+
+test("the alert text lists each kind of update and the footer links", () => {
+  const { text } = alertEmail({
+    newIncidents: [incident({ title: "New one" })],
+    escalations: [incident({ title: "Long one", escalation: "unresolved for 2h 0m" })],
+    statusChanges: [incident({ title: "Old one", previousStatus: "monitoring", status: "resolved" })],
+    links
+  });
+  assert.match(text, /^1 new incident, 1 escalation, 1 status change/);
+  assert.match(text, /• New \[low\] New one \(investigating\)/);
+  assert.match(text, /• Escalated \[low\] Long one \(unresolved for 2h 0m, investigating\)/);
+  assert.match(text, /• \[low\] Old one \(monitoring → resolved\)/);
+  assert.ok(text.endsWith(`Unsubscribe: ${links.unsubscribe}`));
+});
+
+test("long alerts list ten incidents per provider", () => {
+  const newIncidents = Array.from({ length: 12 }, (_, index) => incident({ title: `Incident ${index}` }));
+  const { text } = alertEmail({ newIncidents });
+  assert.equal(text.match(/^• /gm).length, 10);
+  assert.match(text, /…and 2 more$/);
+});
+
+test("the HTML escapes incident text", () => {
+  const { html } = alertEmail({ newIncidents: [incident({ title: "<script>alert(1)</script> & co" })] });
+  assert.ok(!html.includes("<script>"));
+  assert.match(html, /&lt;script&gt;alert\(1\)&lt;\/script&gt; &amp; co/);
+});
+
+test("the confirmation email carries the confirm link in both parts", () => {
+  const { subject, text, html } = confirmationEmail("ops@example.test", links);
+  assert.equal(subject, "Confirm your cloud incident alerts");
+  assert.ok(text.includes(`Confirm your subscription: ${links.confirm}`));
+  assert.ok(html.includes(`href="${links.confirm}"`));
+});
+
+test("every template has a sample", () => {
+  EMAIL_TEMPLATES.forEach((template) => {
+    const { subject, text, html } = sampleEmail(template, links, NOW);
+    assert.ok(subject && text && html.startsWith("<!DOCTYPE html>"), template);
+  });
+});
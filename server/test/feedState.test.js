@@ -0,0 +1,51 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import {
+  describeFeedState,
+  getLastItems,
+  pruneFeedStates,
+  recordFailure,
+  recordSuccess,
+  REFRESH_INTERVAL_MS,
+  shouldAttempt
+} from "../feedState.js";
+
+const feed = (id) => ({ id, provider: "AWS", name: "AWS Health", url: `https://example.com/${id}`, type: "rss" });
+const failing = new Error("timeout");
+
+test("failures below the threshold are retried on the next cycle", () => {
+  const source = feed("below-threshold");
+  recordFailure(source, failing);
+  recordFailure(source, failing);
+  assert.equal(shouldAttempt(source), true);
+  assert.equal(describeFeedState(source).health, "failing");
+});
+
+test("the first backoff step skips at least one refresh cycle", () => {
+  const source = feed("backoff");
+  for (let attempt = 0; attempt < 3; attempt += 1) recordFailure(source, failing);
+
+  const { circuit, nextAttemptAt } = describeFeedState(source);
+  assert.equal(circuit, "open");
+  assert.ok(Date.parse(nextAttemptAt) - Date.now() > REFRESH_INTERVAL_MS);
+  assert.equal(shouldAttempt(source, Date.now() + REFRESH_INTERVAL_MS), false);
+});
+
+test("a success closes the circuit", () => {
+  const source = feed("recovers");
+  for (let attempt = 0; attempt < 4; attempt += 1) recordFailure(source, failing);
+  recordSuccess(source, { items: [{ id: "a" }] });
+  assert.equal(shouldAttempt(source), true);
+  assert.equal(describeFeedState(source).health, "ok");
+});
+
+test("pruning drops the state of feeds that are no longer configured", () => {
+  const kept = feed("kept");
+  const removed = feed("removed");
+  recordSuccess(kept, { items: [{ id: "a" }] });
+  recordSuccess(removed, { items: [{ id: "b" }] });
+
+  pruneFeedStates([kept.id]);
+  assert.deepEqual(getLastItems(kept), [{ id: "a" }]);
+  assert.deepEqual(getLastItems(removed), []);
+});
@@ -0,0 +1,65 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { buildHistoryWhere, decodeCursor, encodeCursor, parseHistoryFilters } from "../history.js";
+
+test("cursors round-trip", () => {
+  const values = { publishedAt: "2026-10-19 11:35:00.123", id: "aws-1", rank: 0.25 };
+  assert.deepEqual(decodeCursor(encodeCursor(values)), values);
+});
+
+test("malformed cursors are rejected", () => {
+  const cursors = [
+    "not base64 json",
+    encodeCursor(null),
+    encodeCursor({ id: "aws-1" }),
+    encodeCursor({ publishedAt: "yesterday", id: "aws-1" }),
+    encodeCursor({ publishedAt: "2026-02-30 00:00:00", id: "aws-1" }),
+    encodeCursor({ publishedAt: "2026-10-19 11:35:00", id: 42 }),
+    encodeCursor({ publishedAt: "2026-10-19 11:35:00", id: "" }),
+    encodeCursor({ publishedAt: "2026-10-19 11:35:00", id: "x".repeat(501) }),
+    encodeCursor({ publishedAt: "2026-10-19 11:35:00", id: "aws-1", rank: "high" })
+  ];
+  cursors.forEach((cursor) => assert.equal(decodeCursor(cursor), null, cursor));
+});
+
+test("an invalid cursor is a 400 error", () => {
+  assert.deepEqual(parseHistoryFilters({ cursor: "garbage" }), { error: "Invalid cursor." });
+});
+
+test("parses lists, clamps numbers and resolves aliases", () => {
+  const { filters } = parseHistoryFilters({
+    days: "1000",
+    limit: "abc",
+    provider: ["AWS", "gcp"],
+    severity: "critical,high",
+    service: "S3",
+    region: "Ohio",
+    q: "  error rates "
+  });
+  assert.equal(filters.days, 90);
+  assert.equal(filters.limit, 200);
+  assert.deepEqual(filters.providers, ["aws", "gcp"]);
+  assert.deepEqual(filters.severities, ["critical", "high"]);
+  assert.deepEqual(filters.services, ["Amazon S3"]);
+  assert.deepEqual(filters.regions, ["us-east-2"]);
+  assert.equal(filters.search, "error rates");
+});
+
+test("unknown statuses and severities are rejected", () => {
+  assert.match(parseHistoryFilters({ status: "exploded" }).error, /Unknown status "exploded"/);
+  assert.match(parseHistoryFilters({ severity: "toString" }).error, /Unknown severity "tostring"/);
+});
+
+test("buildHistoryWhere numbers its parameters in order", () => {
+  const { filters } = parseHistoryFilters({ provider: "aws", severity: "high", q: "s3" });
+  assert.deepEqual(buildHistoryWhere(filters), {
+    where: [
+      "published_at >= NOW() - make_interval(days => $1::int)",
+      "lower(provider) = ANY($2::text[])",
+      "severity = ANY($3::text[])",
+      "search_vector @@ websearch_to_tsquery('english', $4)"
+    ].join(" AND "),
+    params: [7, ["aws"], ["high"], "s3"],
+    searchParam: "$4"
+  });
+});
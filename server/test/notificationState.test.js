@@ -0,0 +1,45 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { claimNotifications } from "../notificationState.js";
+
+// Without a pool the state lives in memory, one map per channel
+const incident = { id: "a", status: "investigating", severity: "medium" };
+const ids = (list) => list.map((entry) => entry.id);
+
+test("the first claim on a channel only sets the baseline", async () => {
+  const nothing = { created: [], changed: [], escalated: [] };
+  assert.deepEqual(await claimNotifications(null, "baseline", [incident]), nothing);
+  assert.deepEqual(await claimNotifications(null, "baseline", [incident]), nothing);
+});
+
+test("new incidents are claimed once", async () => {
+  await claimNotifications(null, "created", []);
+  const other = { id: "b", status: "investigating", severity: "low" };
+  assert.deepEqual(ids((await claimNotifications(null, "created", [incident, other])).created), ["a", "b"]);
+  assert.deepEqual(ids((await claimNotifications(null, "created", [incident, other])).created), []);
+});
+
+test("status changes are claimed only when asked for", async () => {
+  await claimNotifications(null, "status", [incident]);
+  const monitoring = { ...incident, status: "monitoring" };
+
+  const { changed } = await claimNotifications(null, "status", [monitoring], { statusChanges: true });
+  assert.deepEqual(changed, [{ ...monitoring, previousStatus: "investigating" }]);
+
+  const resolved = { ...incident, status: "resolved" };
+  assert.deepEqual((await claimNotifications(null, "status", [resolved])).changed, []);
+});
+
+test("a severity increase is claimed against the last announced severity", async () => {
+  const options = { severityIncreases: true };
+  await claimNotifications(null, "severity", [incident], options);
+
+  const lower = { ...incident, severity: "low" };
+  assert.deepEqual((await claimNotifications(null, "severity", [lower], options)).escalated, []);
+
+  // Still medium as far as announcements go, so high is an increase from medium
+  const high = { ...incident, severity: "high" };
+  const { escalated } = await claimNotifications(null, "severity", [high], options);
+  assert.deepEqual(escalated, [{ ...high, previousSeverity: "medium" }]);
+  assert.deepEqual((await claimNotifications(null, "severity", [high], options)).escalated, []);
+});
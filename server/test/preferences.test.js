@@ -0,0 +1,74 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { DEFAULT_PREFERENCES, matchesPreferences, rowToPreferences, validatePreferences } from "../preferences.js";
+
+test("missing or null preferences keep the current ones", () => {
+  assert.deepEqual(validatePreferences(undefined), { preferences: DEFAULT_PREFERENCES });
+  assert.deepEqual(validatePreferences(null), { preferences: DEFAULT_PREFERENCES });
+
+  const current = { ...DEFAULT_PREFERENCES, providers: ["AWS"] };
+  assert.deepEqual(validatePreferences(null, current), { preferences: current });
+});
+
+test("preferences must be an object", () => {
+  ["AWS", 42, ["AWS"], true].forEach((input) => {
+    assert.deepEqual(validatePreferences(input), { error: "preferences must be an object" }, String(input));
+  });
+});
+
+test("accepts comma-separated lists and normalizes them", () => {
+  const { preferences } = validatePreferences({
+    providers: "AWS, GCP,,AWS",
+    keywords: ["S3", " Outage "],
+    services: "s3",
+    minSeverity: "high",
+    delivery: "weekly"
+  });
+  assert.deepEqual(preferences.providers, ["AWS", "GCP"]);
+  assert.deepEqual(preferences.keywords, ["s3", "outage"]);
+  assert.deepEqual(preferences.services, ["Amazon S3"]);
+  assert.equal(preferences.minSeverity, "high");
+  assert.equal(preferences.delivery, "weekly");
+});
+
+test("a partial update keeps everything else", () => {
+  const current = { ...DEFAULT_PREFERENCES, providers: ["AWS"], minSeverity: "high" };
+  const { preferences } = validatePreferences({ minSeverity: "" }, current);
+  assert.deepEqual(preferences, { ...current, minSeverity: null });
+});
+
+test("rejects invalid values", () => {
+  assert.match(validatePreferences({ providers: [1] }).error, /providers/);
+  assert.match(validatePreferences({ keywords: Array.from({ length: 21 }, (_, i) => `k${i}`) }).error, /keywords/);
+  assert.match(validatePreferences({ statusChanges: "yes" }).error, /statusChanges/);
+  assert.match(validatePreferences({ delivery: "hourly" }).error, /delivery/);
+  ["urgent", "toString", "constructor"].forEach((minSeverity) => {
+    assert.match(validatePreferences({ minSeverity }).error, /minSeverity/, minSeverity);
+  });
+});
+
+test("rowToPreferences fills in defaults", () => {
+  assert.deepEqual(rowToPreferences({}), DEFAULT_PREFERENCES);
+  assert.equal(rowToPreferences({ status_changes: false }).statusChanges, false);
+});
+
+test("matchesPreferences applies provider, severity, keyword and service filters", () => {
+  const incident = {
+    provider: "AWS",
+    severity: "high",
+    title: "Increased error rates",
+    summary: "S3 requests fail",
+    services: ["Amazon S3"]
+  };
+  const matches = (changes) => matchesPreferences({ ...DEFAULT_PREFERENCES, ...changes }, incident);
+
+  assert.equal(matches({}), true);
+  assert.equal(matches({ providers: ["aws"] }), true);
+  assert.equal(matches({ providers: ["GCP"] }), false);
+  assert.equal(matches({ minSeverity: "high" }), true);
+  assert.equal(matches({ minSeverity: "critical" }), false);
+  assert.equal(matches({ keywords: ["requests fail"] }), true);
+  assert.equal(matches({ keywords: ["lambda"] }), false);
+  // Either a keyword or a service will do
+  assert.equal(matches({ keywords: ["lambda"], services: ["Amazon S3"] }), true);
+});
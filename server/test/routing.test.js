@@ -0,0 +1,99 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import process from "node:process";
+import { after, before, mock, test } from "node:test";
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "watch-sys-routes-"));
+const routesPath = path.join(dir, "routes.json");
+process.env.ROUTES_CONFIG_PATH = routesPath;
+process.env.TEST_OPS_WEBHOOK_URL = "https://hooks.slack.test/ops";
+
+fs.writeFileSync(
+  routesPath,
+  JSON.stringify({
+    routes: [
+      {
+        name: "ops-aws",
+        channel: "slack",
+        webhookUrlEnv: "TEST_OPS_WEBHOOK_URL",
+        match: { providers: ["AWS"], minSeverity: "high" }
+      },
+      {
+        name: "storage",
+        channel: "discord",
+        webhookUrl: "https://discord.test/storage",
+        match: { services: ["s3"], statuses: ["investigating"] }
+      },
+      { name: "Bad Name", channel: "slack", webhookUrl: "https://x.test" },
+      { name: "no-url", channel: "slack", webhookUrlEnv: "TEST_UNSET_WEBHOOK_URL" },
+      { name: "proto", channel: "slack", webhookUrl: "https://x.test", match: { minSeverity: "toString" } },
+      { name: "pager", channel: "pagerduty", webhookUrl: "https://x.test" },
+      { name: "storage", channel: "teams", webhookUrl: "https://x.test" }
+    ]
+  })
+);
+
+const { findRoute, loadRoutes, planChatMessages } = await import("../routing.js");
+
+let warnings = [];
+before(() => {
+  const warn = mock.method(console, "warn", () => {});
+  loadRoutes();
+  warnings = warn.mock.calls.map((call) => call.arguments[0]);
+  warn.mock.restore();
+});
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const incident = (id, fields) => ({
+  id,
+  provider: "AWS",
+  status: "investigating",
+  severity: "medium",
+  services: [],
+  ...fields
+});
+
+test("invalid and duplicate routes are skipped with a warning", () => {
+  assert.deepEqual(loadRoutes().map((route) => route.name), ["ops-aws", "storage"]);
+  assert.equal(warnings.length, 5);
+  assert.match(warnings[2], /Skipping route proto .*: match\.minSeverity must be one of/);
+});
+
+test("webhook URLs can come from the environment", () => {
+  assert.equal(findRoute("ops-aws").webhookUrl, "https://hooks.slack.test/ops");
+  assert.equal(findRoute("missing"), null);
+});
+
+test("incidents go to every matching route and the rest to the default channels", () => {
+  const critical = incident("critical", { severity: "critical" });
+  const storage = incident("storage", { services: ["Amazon S3"] });
+  const both = incident("both", { severity: "high", services: ["Amazon S3"] });
+  const other = incident("other", { provider: "GCP" });
+
+  const plans = planChatMessages(
+    { newIncidents: [critical, storage, both, other], statusChanges: [] },
+    { slack: "https://hooks.slack.test/default", discord: null, teams: null }
+  );
+  const summary = plans.map((plan) => [plan.channel, plan.route, plan.newIncidents.map((entry) => entry.id)]);
+  assert.deepEqual(summary, [
+    ["slack", "ops-aws", ["critical", "both"]],
+    ["discord", "storage", ["storage", "both"]],
+    ["slack", null, ["other"]]
+  ]);
+});
+
+test("every list in the update is filtered the same way", () => {
+  const resolved = incident("resolved", { status: "resolved", severity: "critical", previousStatus: "monitoring" });
+  const [plan, ...rest] = planChatMessages({ newIncidents: [], statusChanges: [resolved] }, {});
+  assert.equal(rest.length, 0);
+  assert.equal(plan.route, "ops-aws");
+  assert.deepEqual(plan.newIncidents, []);
+  assert.deepEqual(plan.statusChanges, [resolved]);
+});
+
+test("nothing is planned for unrouted incidents without a default channel", () => {
+  assert.deepEqual(planChatMessages({ newIncidents: [incident("other", { provider: "GCP" })] }, {}), []);
+});
@@ -0,0 +1,19 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { isSeverity, SEVERITIES, severityRank } from "../severity.js";
+
+test("ranks severities worst first", () => {
+  assert.deepEqual(SEVERITIES.map(severityRank), [0, 1, 2, 3]);
+});
+
+test("unknown severities rank below low", () => {
+  [undefined, null, "", "urgent"].forEach((value) => assert.equal(severityRank(value), SEVERITIES.length));
+});
+
+test("prototype keys are not severities", () => {
+  ["toString", "constructor", "__proto__", "hasOwnProperty"].forEach((value) => {
+    assert.equal(isSeverity(value), false, value);
+    assert.equal(severityRank(value), SEVERITIES.length, value);
+  });
+  assert.equal(isSeverity("high"), true);
+});
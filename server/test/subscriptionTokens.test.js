@@ -0,0 +1,39 @@
+import assert from "node:assert/strict";
+import { Buffer } from "node:buffer";
+import { test } from "node:test";
+import { createSubscriptionToken, TOKEN_TTL_MS, verifySubscriptionToken } from "../subscriptionTokens.js";
+
+const SECRET = "test-secret";
+const NOW = Date.UTC(2026, 9, 19);
+
+test("a token verifies for its own purpose", () => {
+  const token = createSubscriptionToken(SECRET, "ops@example.test", "manage", NOW);
+  assert.equal(verifySubscriptionToken(SECRET, token, "manage", NOW), "ops@example.test");
+  assert.equal(verifySubscriptionToken(SECRET, token, "unsubscribe", NOW), null);
+});
+
+test("a token expires after its purpose's lifetime", () => {
+  const token = createSubscriptionToken(SECRET, "ops@example.test", "confirm", NOW);
+  assert.equal(verifySubscriptionToken(SECRET, token, "confirm", NOW + TOKEN_TTL_MS.confirm - 1), "ops@example.test");
+  assert.equal(verifySubscriptionToken(SECRET, token, "confirm", NOW + TOKEN_TTL_MS.confirm), null);
+});
+
+test("a token signed with another secret is rejected", () => {
+  const token = createSubscriptionToken("other-secret", "ops@example.test", "manage", NOW);
+  assert.equal(verifySubscriptionToken(SECRET, token, "manage", NOW), null);
+});
+
+test("a tampered payload is rejected", () => {
+  const token = createSubscriptionToken(SECRET, "ops@example.test", "manage", NOW);
+  const [, signature] = token.split(".");
+  const forged = Buffer.from(
+    JSON.stringify({ email: "someone@example.test", purpose: "manage", expiresAt: NOW + 1000 })
+  ).toString("base64url");
+  assert.equal(verifySubscriptionToken(SECRET, `${forged}.${signature}`, "manage", NOW), null);
+});
+
+test("malformed tokens are rejected", () => {
+  [undefined, null, "", "abc", "abc.", ".abc", "a.b.c"].forEach((token) => {
+    assert.equal(verifySubscriptionToken(SECRET, token, "manage", NOW), null, String(token));
+  });
+});
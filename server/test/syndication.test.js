@@ -0,0 +1,59 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { buildAtomFeed, buildJsonFeed, selectEntries } from "../syndication.js";
+
+const incidents = [
+  {
+    id: "aws/1",
+    provider: "AWS",
+    source: "AWS Health",
+    title: "S3 errors <us-east-1> & more",
+    summary: "Requests fail\u0007 intermittently",
+    status: "investigating",
+    severity: "high",
+    services: ["Amazon S3"],
+    regions: ["us-east-1"],
+    link: "https://health.aws.amazon.com/?a=1&b=2",
+    firstPublishedAt: "2026-10-19T10:00:00Z",
+    publishedAt: "2026-10-19T11:00:00Z"
+  },
+  { id: "gcp-1", provider: "GCP", title: "Cloud SQL", severity: "low", publishedAt: "2026-10-19T12:00:00Z" },
+  { id: "azure-1", provider: "Azure", title: "Storage", severity: "critical", publishedAt: "2026-10-19T09:00:00Z" }
+];
+
+const feed = {
+  title: "Cloud incidents",
+  selfUrl: "https://example.test/feeds/all.atom",
+  homeUrl: "https://example.test/",
+  updatedAt: Date.UTC(2026, 9, 19, 12)
+};
+
+test("selectEntries filters by provider and severity, newest first", () => {
+  assert.deepEqual(selectEntries(incidents).map((incident) => incident.id), ["gcp-1", "aws/1", "azure-1"]);
+  assert.deepEqual(selectEntries(incidents, { severity: "high" }).map((incident) => incident.id), ["aws/1", "azure-1"]);
+  assert.deepEqual(selectEntries(incidents, { provider: "aws" }).map((incident) => incident.id), ["aws/1"]);
+});
+
+test("the Atom feed escapes text and drops control characters", () => {
+  const xml = buildAtomFeed({ ...feed, incidents: [incidents[0]] });
+  assert.match(xml, /<title type="text">S3 errors &lt;us-east-1&gt; &amp; more<\/title>/);
+  assert.match(xml, /<summary type="text">Requests fail intermittently<\/summary>/);
+  assert.match(xml, /<link rel="alternate" href="https:\/\/health\.aws\.amazon\.com\/\?a=1&amp;b=2"\/>/);
+  assert.match(xml, /<id>urn:watch-sys:incident:aws%2F1<\/id>/);
+  assert.match(xml, /<published>2026-10-19T10:00:00.000Z<\/published>/);
+  assert.match(xml, /<category scheme="urn:watch-sys:service" term="Amazon S3"/);
+});
+
+test("an empty Atom feed falls back to updatedAt", () => {
+  assert.match(buildAtomFeed({ ...feed, incidents: [] }), /<updated>2026-10-19T12:00:00.000Z<\/updated>/);
+});
+
+test("the JSON feed carries tags and the raw incident fields", () => {
+  const [item] = buildJsonFeed({ ...feed, incidents: [incidents[1]] }).items;
+  assert.equal(item.id, "urn:watch-sys:incident:gcp-1");
+  assert.equal(item.url, undefined);
+  assert.equal(item.content_text, "Cloud SQL");
+  assert.equal(item.date_published, "2026-10-19T12:00:00.000Z");
+  assert.deepEqual(item.tags, ["severity:low", "provider:GCP"]);
+  assert.equal(item._watch_sys.severity, "low");
+});
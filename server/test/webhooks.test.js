@@ -0,0 +1,45 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { validateWebhook } from "../webhooks.js";
+
+test("accepts a full webhook and de-duplicates its lists", () => {
+  assert.deepEqual(
+    validateWebhook({
+      url: " https://hooks.example.test/incidents ",
+      secret: "0123456789abcdef",
+      events: ["incident.created", "incident.created"],
+      providers: ["AWS", " "],
+      minSeverity: "high",
+      enabled: false
+    }),
+    {
+      webhook: {
+        url: "https://hooks.example.test/incidents",
+        secret: "0123456789abcdef",
+        events: ["incident.created"],
+        providers: ["AWS"],
+        minSeverity: "high",
+        enabled: false
+      }
+    }
+  );
+});
+
+test("rejects bad urls, short secrets and unknown events", () => {
+  assert.match(validateWebhook({ url: "ftp://example.test" }).error, /url/);
+  assert.match(validateWebhook({ url: "https://example.test", secret: "short" }).error, /secret/);
+  assert.match(validateWebhook({ url: "https://example.test", events: ["incident.exploded"] }).error, /Unknown/);
+  assert.match(validateWebhook({ url: "https://example.test", providers: "AWS" }).error, /providers/);
+});
+
+test("minSeverity must be a real severity", () => {
+  ["urgent", "toString", "constructor"].forEach((minSeverity) => {
+    assert.match(validateWebhook({ url: "https://example.test", minSeverity }).error, /minSeverity/, minSeverity);
+  });
+  assert.deepEqual(validateWebhook({ minSeverity: null }, { partial: true }), { webhook: { minSeverity: null } });
+});
+
+test("partial updates only validate what is given", () => {
+  assert.deepEqual(validateWebhook({ enabled: true }, { partial: true }), { webhook: { enabled: true } });
+  assert.match(validateWebhook({ enabled: "yes" }, { partial: true }).error, /enabled/);
+});
@@ -0,0 +1,386 @@
+import crypto from "crypto";
+import { isSeverity, SEVERITIES, severityRank } from "./severity.js";
+
+// Generic outgoing webhooks. Incident changes are written to
+// webhook_deliveries first and sent by processWebhookDeliveries(), so a
+// consumer that is down gets the event later instead of never.
+
+export const WEBHOOK_EVENTS = ["incident.created", "incident.updated", "incident.resolved", "incident.removed"];
+
+const DELIVERY_TIMEOUT_MS = 10 * 1000;
+// Delays before the 2nd, 3rd, ... attempt: 30s, 2m, 8m, 32m, ~2h
+const RETRY_BASE_MS = 30 * 1000;
+const RETRY_FACTOR = 4;
+const MAX_ATTEMPTS = 6;
+// A claimed delivery is retried by anyone once its lease runs out, which
+// covers a process dying mid-send
+const CLAIM_LEASE_MS = 2 * 60 * 1000;
+const CLAIM_BATCH_SIZE = 20;
+const MAX_RESPONSE_BODY = 2000;
+const USER_AGENT = "WatchSys-Webhooks/1.0";
+
+let processing = null;
+
+function retryDelayMs(attempts) {
+  return RETRY_BASE_MS * RETRY_FACTOR ** (attempts - 1);
+}
+
+function signPayload(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex")}`;
+}
+
+function rowToWebhook(row, { includeSecret = false } = {}) {
+  return {
+    id: row.id,
+    url: row.url,
+    description: row.description,
+    events: row.events,
+    providers: row.providers,
+    minSeverity: row.min_severity,
+    enabled: row.enabled,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    ...(includeSecret ? { secret: row.secret } : {})
+  };
+}
+
+function rowToDelivery(row) {
+  return {
+    id: row.id,
+    webhookId: row.webhook_id,
+    eventId: row.event_id,
+    eventType: row.event_type,
+    status: row.status,
+    attempts: row.attempts,
+    nextAttemptAt: row.status === "pending" ? row.next_attempt_at : null,
+    lastAttemptAt: row.last_attempt_at,
+    responseStatus: row.response_status,
+    responseBody: row.response_body,
+    lastError: row.last_error,
+    redeliveryOf: row.redelivery_of,
+    createdAt: row.created_at,
+    payload: row.payload
+  };
+}
+
+function listOf(value, field) {
+  if (!Array.isArray(value) || value.some((entry) => typeof entry !== "string")) {
+    return { error: `Webhook ${field} must be an array of strings` };
+  }
+  return { list: Array.from(new Set(value.map((entry) => entry.trim()).filter(Boolean))) };
+}
+
+export function validateWebhook(input = {}, { partial = false } = {}) {
+  const webhook = {};
+
+  if (!partial || input.url !== undefined) {
+    const url = String(input.url || "").trim();
+    if (!/^https?:\/\/\S+$/i.test(url)) {
+      return { error: "Webhook url must be an http(s) URL" };
+    }
+    webhook.url = url;
+  }
+
+  if (input.secret !== undefined) {
+    const secret = String(input.secret || "");
+    if (secret.length < 16) {
+      return { error: "Webhook secret must be at least 16 characters" };
+    }
+    webhook.secret = secret;
+  }
+
+  if (input.description !== undefined) {
+    webhook.description = input.description === null ? null : String(input.description).trim();
+  }
+
+  if (input.events !== undefined) {
+    const { list, error } = listOf(input.events, "events");
+    if (error) return { error };
+    const unknown = list.find((event) => !WEBHOOK_EVENTS.includes(event));
+    if (unknown) {
+      return { error: `Unknown webhook event "${unknown}". Use any of: ${WEBHOOK_EVENTS.join(", ")}` };
+    }
+    webhook.events = list;
+  }
+
+  if (input.providers !== undefined) {
+    const { list, error } = listOf(input.providers, "providers");
+    if (error) return { error };
+    webhook.providers = list;
+  }
+
+  if (input.minSeverity !== undefined) {
+    if (input.minSeverity !== null && !isSeverity(input.minSeverity)) {
+      return { error: `Webhook minSeverity must be one of: ${SEVERITIES.join(", ")}` };
+    }
+    webhook.minSeverity = input.minSeverity;
+  }
+
+  if (input.enabled !== undefined) {
+    if (typeof input.enabled !== "boolean") {
+      return { error: "Webhook enabled must be true or false" };
+    }
+    webhook.enabled = input.enabled;
+  }
+
+  return { webhook };
+}
+
+// Empty events/providers lists mean "all". Removals carry no severity, so
+// they pass the severity filter.
+function matches(webhook, type, data) {
+  if (webhook.events.length && !webhook.events.includes(type)) return false;
+
+  const provider = String(data.incident?.provider || data.provider || "").toLowerCase();
+  if (webhook.providers.length && !webhook.providers.some((entry) => entry.toLowerCase() === provider)) {
+    return false;
+  }
+
+  const severity = data.incident?.severity;
+  if (webhook.min_severity && severity) {
+    return severityRank(severity) <= severityRank(webhook.min_severity);
+  }
+  return true;
+}
+
+// The correlated incident without its raw member items
+function toPayloadIncident(incident) {
+  const { children, ...rest } = incident;
+  return { ...rest, childIds: (children || []).map((child) => child.id) };
+}
+
+function toEvents(changes) {
+  const createdAt = new Date().toISOString();
+  const event = (type, data) => ({ id: crypto.randomUUID(), type, createdAt, data });
+
+  return [
+    ...changes.created.map(({ incident }) => event("incident.created", { incident: toPayloadIncident(incident) })),
+    ...changes.updated.map(({ incident, previousStatus, previousSeverity }) =>
+      event("incident.updated", { incident: toPayloadIncident(incident), previousStatus, previousSeverity })
+    ),
+    ...changes.resolved.map(({ incident, previousStatus }) =>
+      event("incident.resolved", { incident: toPayloadIncident(incident), previousStatus })
+    ),
+    ...changes.removed.map((removed) => event("incident.removed", removed))
+  ];
+}
+
+// Queues one delivery per matching webhook for each change from diffSnapshots()
+export async function enqueueWebhookEvents(pool, changes) {
+  if (!pool) return 0;
+
+  const events = toEvents(changes);
+  if (events.length === 0) return 0;
+
+  const { rows: webhooks } = await pool.query("SELECT * FROM webhooks WHERE enabled = TRUE");
+  const deliveries = [];
+  webhooks.forEach((webhook) => {
+    events
+      .filter((event) => matches(webhook, event.type, event.data))
+      .forEach((event) => deliveries.push([webhook.id, event.id, event.type, event]));
+  });
+
+  for (const [webhookId, eventId, eventType, payload] of deliveries) {
+    await pool.query(
+      `INSERT INTO webhook_deliveries (webhook_id, event_id, event_type, payload)
+       VALUES ($1, $2, $3, $4)`,
+      [webhookId, eventId, eventType, JSON.stringify(payload)]
+    );
+  }
+  return deliveries.length;
+}
+
+async function claimDueDeliveries(pool) {
+  const { rows } = await pool.query(
+    `UPDATE webhook_deliveries
+     SET next_attempt_at = NOW() + make_interval(secs => $1)
+     WHERE id IN (
+       SELECT id FROM webhook_deliveries
+       WHERE status = 'pending' AND next_attempt_at <= NOW()
+       ORDER BY next_attempt_at
+       LIMIT $2
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING *`,
+    [CLAIM_LEASE_MS / 1000, CLAIM_BATCH_SIZE]
+  );
+  return rows;
+}
+
+async function send(webhook, delivery) {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+
+  try {
+    const response = await fetch(webhook.url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": USER_AGENT,
+        "X-Watch-Sys-Event": delivery.event_type,
+        "X-Watch-Sys-Delivery": String(delivery.id),
+        "X-Watch-Sys-Timestamp": String(timestamp),
+        "X-Watch-Sys-Signature": signPayload(webhook.secret, timestamp, body)
+      },
+      body,
+      signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS)
+    });
+    const text = (await response.text().catch(() => "")).slice(0, MAX_RESPONSE_BODY);
+    return {
+      ok: response.ok,
+      status: response.status,
+      body: text,
+      error: response.ok ? null : `HTTP ${response.status}`
+    };
+  } catch (error) {
+    return { ok: false, status: null, body: null, error: error?.cause?.message || error?.message || "Request failed" };
+  }
+}
+
+async function recordAttempt(pool, delivery, result) {
+  const attempts = delivery.attempts + 1;
+  const status = result.ok ? "succeeded" : attempts >= MAX_ATTEMPTS ? "failed" : "pending";
+
+  await pool.query(
+    `UPDATE webhook_deliveries
+     SET status = $2, attempts = $3, last_attempt_at = NOW(),
+         next_attempt_at = NOW() + make_interval(secs => $4),
+         response_status = $5, response_body = $6, last_error = $7
+     WHERE id = $1`,
+    [
+      delivery.id,
+      status,
+      attempts,
+      status === "pending" ? retryDelayMs(attempts) / 1000 : 0,
+      result.status,
+      result.body,
+      result.error
+    ]
+  );
+
+  if (status === "failed") {
+    console.warn(`Webhook delivery ${delivery.id} failed after ${attempts} attempts: ${result.error}`);
+  }
+}
+
+// Sends everything that is due. Safe to call often and from several
+// instances; overlapping calls in one process share the same run.
+export function processWebhookDeliveries(pool) {
+  if (!pool) return Promise.resolve();
+  if (processing) return processing;
+
+  processing = (async () => {
+    try {
+      const webhooks = new Map();
+      let batch = await claimDueDeliveries(pool);
+      while (batch.length > 0) {
+        for (const delivery of batch) {
+          if (!webhooks.has(delivery.webhook_id)) {
+            const { rows } = await pool.query("SELECT * FROM webhooks WHERE id = $1", [delivery.webhook_id]);
+            webhooks.set(delivery.webhook_id, rows[0] || null);
+          }
+          const webhook = webhooks.get(delivery.webhook_id);
+          const result = webhook
+            ? await send(webhook, delivery)
+            : { ok: false, status: null, body: null, error: "Webhook no longer exists" };
+          await recordAttempt(pool, delivery, result);
+        }
+        batch = await claimDueDeliveries(pool);
+      }
+    } catch (error) {
+      console.warn("Failed to process webhook deliveries", error);
+    } finally {
+      processing = null;
+    }
+  })();
+  return processing;
+}
+
+export async function listWebhooks(pool) {
+  const { rows } = await pool.query("SELECT * FROM webhooks ORDER BY id");
+  return rows.map((row) => rowToWebhook(row));
+}
+
+export async function getWebhook(pool, id) {
+  const { rows } = await pool.query("SELECT * FROM webhooks WHERE id = $1", [id]);
+  return rows[0] ? rowToWebhook(rows[0]) : null;
+}
+
+// The secret is only ever returned here, so the caller can store it
+export async function createWebhook(pool, webhook) {
+  const { rows } = await pool.query(
+    `INSERT INTO webhooks (url, secret, description, events, providers, min_severity, enabled)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     RETURNING *`,
+    [
+      webhook.url,
+      webhook.secret || crypto.randomBytes(32).toString("hex"),
+      webhook.description || null,
+      webhook.events || [],
+      webhook.providers || [],
+      webhook.minSeverity || null,
+      webhook.enabled ?? true
+    ]
+  );
+  return rowToWebhook(rows[0], { includeSecret: true });
+}
+
+export async function updateWebhook(pool, id, changes) {
+  const columns = {
+    url: "url",
+    secret: "secret",
+    description: "description",
+    events: "events",
+    providers: "providers",
+    minSeverity: "min_severity",
+    enabled: "enabled"
+  };
+  const params = [id];
+  const assignments = Object.entries(changes).map(([field, value]) => {
+    params.push(value);
+    return `${columns[field]} = $${params.length}`;
+  });
+
+  const { rows } = await pool.query(
+    `UPDATE webhooks SET ${[...assignments, "updated_at = NOW()"].join(", ")} WHERE id = $1 RETURNING *`,
+    params
+  );
+  return rows[0] ? rowToWebhook(rows[0]) : null;
+}
+
+export async function deleteWebhook(pool, id) {
+  const { rowCount } = await pool.query("DELETE FROM webhooks WHERE id = $1", [id]);
+  return rowCount > 0;
+}
+
+export async function listDeliveries(pool, webhookId, { status, limit = 50 } = {}) {
+  const params = [webhookId, Math.max(1, Math.min(200, parseInt(limit, 10) || 50))];
+  let filter = "";
+  if (status) {
+    params.push(status);
+    filter = `AND status = $${params.length}`;
+  }
+
+  const { rows } = await pool.query(
+    `SELECT * FROM webhook_deliveries
+     WHERE webhook_id = $1 ${filter}
+     ORDER BY created_at DESC, id DESC
+     LIMIT $2`,
+    params
+  );
+  return rows.map(rowToDelivery);
+}
+
+// Queues a fresh copy of a delivery (same event id and payload) so the
+// original attempt history stays in the log
+export async function redeliver(pool, webhookId, deliveryId) {
+  const { rows } = await pool.query(
+    `INSERT INTO webhook_deliveries (webhook_id, event_id, event_type, payload, redelivery_of)
+     SELECT webhook_id, event_id, event_type, payload, id
+     FROM webhook_deliveries
+     WHERE id = $1 AND webhook_id = $2
+     RETURNING *`,
+    [deliveryId, webhookId]
+  );
+  return rows[0] ? rowToDelivery(rows[0]) : null;
+}
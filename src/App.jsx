@@ -1,7 +1,12 @@
-import { useEffect, useMemo, useState } from "react";
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
 import "./App.css";
+import Insights from "./Insights.jsx";
 
 const POLL_INTERVAL_MS = 60 * 1000;
+const HISTORY_PAGE_SIZE = 50;
+const SEARCH_DEBOUNCE_MS = 300;
+const INCIDENT_EVENTS = ["incident.created", "incident.updated", "incident.resolved", "incident.removed"];
+const SEVERITY_PRIORITY = { critical: 0, high: 1, medium: 2, low: 3 };
 
 function formatDate(value) {
   if (!value) return "Unknown";
@@ -10,17 +15,132 @@ function formatDate(value) {
   return date.toLocaleString();
 }
 
+function formatRelative(value) {
+  if (!value) return "never";
+  const elapsed = Date.now() - new Date(value).getTime();
+  if (Number.isNaN(elapsed)) return "never";
+  const minutes = Math.round(elapsed / 60000);
+  if (minutes < 1) return "just now";
+  if (minutes < 60) return `${minutes} min ago`;
+  const hours = Math.round(minutes / 60);
+  if (hours < 48) return `${hours} h ago`;
+  return `${Math.round(hours / 24)} days ago`;
+}
+
+// Same order as the server: most severe first, then newest
+function sortIncidents(incidents) {
+  return [...incidents].sort((a, b) => {
+    const aSeverity = SEVERITY_PRIORITY[a.severity] ?? 999;
+    const bSeverity = SEVERITY_PRIORITY[b.severity] ?? 999;
+    if (aSeverity !== bSeverity) return aSeverity - bSeverity;
+
+    const aTime = a.publishedAt ? Date.parse(a.publishedAt) : 0;
+    const bTime = b.publishedAt ? Date.parse(b.publishedAt) : 0;
+    return bTime - aTime;
+  });
+}
+
+// Applies one stream event to the live data: replace (or drop) the incident by id
+function applyIncidentEvent(data, type, payload) {
+  const removing = type === "incident.removed";
+  const id = removing ? payload.id : payload.incident.id;
+  const provider = removing ? payload.provider : payload.incident.provider;
+  let found = false;
+
+  const providers = (data.providers || [])
+    .map((entry) => {
+      if (entry.provider !== provider) return entry;
+      found = true;
+      const incidents = entry.incidents.filter((incident) => incident.id !== id);
+      if (!removing) incidents.push(payload.incident);
+      return { ...entry, incidents: sortIncidents(incidents) };
+    })
+    .filter((entry) => entry.incidents.length > 0);
+
+  if (!found && !removing) {
+    providers.push({ provider, incidents: [payload.incident] });
+  }
+
+  return { ...data, providers };
+}
+
+const DEFAULT_PREFERENCES = {
+  providers: [],
+  minSeverity: "",
+  keywords: "",
+  services: "",
+  statusChanges: true,
+  delivery: "instant"
+};
+
+// Links from subscription emails land on the app with one of these set
+const SUBSCRIPTION_LINK_PARAMS = ["subscription", "manage", "unsubscribe"];
+
+function readSubscriptionLink() {
+  const params = new URLSearchParams(window.location.search);
+  return {
+    subscription: params.get("subscription"),
+    manageToken: params.get("manage"),
+    unsubscribeToken: params.get("unsubscribe")
+  };
+}
+
+function initialEmailStatus(link) {
+  if (link.subscription === "confirmed") {
+    return { state: "success", message: "Subscription confirmed. You can fine-tune your alerts below." };
+  }
+  if (link.subscription === "invalid") {
+    return {
+      state: "error",
+      message: "That confirmation link is invalid or has expired. Subscribe again to get a new one."
+    };
+  }
+  return { state: "idle", message: "" };
+}
+
+function toPreferencesForm(preferences) {
+  return {
+    providers: preferences.providers,
+    minSeverity: preferences.minSeverity || "",
+    keywords: preferences.keywords.join(", "),
+    services: preferences.services.join(", "),
+    statusChanges: preferences.statusChanges,
+    delivery: preferences.delivery
+  };
+}
+
+const SOURCE_HEALTH_LABELS = {
+  ok: "Healthy",
+  failing: "Failing",
+  down: "Unreachable",
+  stale: "Stale",
+  pending: "Not polled yet"
+};
+
 function App() {
   const [data, setData] = useState({ providers: [], errors: [], updatedAt: 0 });
   const [query, setQuery] = useState("");
   const [loading, setLoading] = useState(true);
   const [email, setEmail] = useState("");
-  const [emailStatus, setEmailStatus] = useState({ state: "idle", message: "" });
+  const [subscriptionLink] = useState(readSubscriptionLink);
+  const [emailStatus, setEmailStatus] = useState(() => initialEmailStatus(subscriptionLink));
+  const [showPreferences, setShowPreferences] = useState(Boolean(subscriptionLink.manageToken));
+  const [managedEmail, setManagedEmail] = useState("");
+  const [unsubscribed, setUnsubscribed] = useState(false);
+  const unsubscribePending = Boolean(subscriptionLink.unsubscribeToken) && !unsubscribed;
+  const [preferences, setPreferences] = useState(DEFAULT_PREFERENCES);
   const [severityFilter, setSeverityFilter] = useState("all");
   const [timeFilter, setTimeFilter] = useState("all");
   const [viewMode, setViewMode] = useState("live");
   const [historyData, setHistoryData] = useState([]);
   const [historyDays, setHistoryDays] = useState(7);
+  const [historyCursor, setHistoryCursor] = useState(null);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [searchTerm, setSearchTerm] = useState("");
+  const [insightsRefresh, setInsightsRefresh] = useState(0);
+  const [exportFormat, setExportFormat] = useState("csv");
+  const [sources, setSources] = useState([]);
+  const [connection, setConnection] = useState("connecting");
   const [theme, setTheme] = useState(localStorage.getItem("theme") || "dark");
 
   useEffect(() => {
@@ -47,39 +167,195 @@ function App() {
     }
   };
 
+  const loadSources = async () => {
+    try {
+      const response = await fetch("/api/feeds/health");
+      const payload = await response.json();
+      setSources(payload.sources || []);
+    } catch {
+      setSources([]);
+    }
+  };
+
+  const historyParams = useCallback(() => {
+    const params = new URLSearchParams({ days: historyDays, limit: HISTORY_PAGE_SIZE });
+    if (severityFilter !== "all") params.append("severity", severityFilter);
+    if (searchTerm) params.append("q", searchTerm);
+    return params;
+  }, [historyDays, severityFilter, searchTerm]);
+
+  const exportUrl = () => {
+    const params = historyParams();
+    params.delete("limit");
+    params.append("format", exportFormat);
+    return `/api/incidents/export?${params}`;
+  };
+
+  // Bumped by every fresh history load, so responses for an older set of
+  // filters are dropped instead of landing in the new list
+  const historyRequest = useRef(0);
+
   const loadHistory = async () => {
+    const request = ++historyRequest.current;
     setLoading(true);
+    setLoadingMore(false);
     try {
-      const params = new URLSearchParams({ days: historyDays, limit: 200 });
-      if (severityFilter !== "all") params.append("severity", severityFilter);
-      
-      const response = await fetch(`/api/incidents/history?${params}`);
+      const response = await fetch(`/api/incidents/history?${historyParams()}`);
       const payload = await response.json();
+      if (request !== historyRequest.current) return;
       setHistoryData(payload.incidents || []);
+      setHistoryCursor(payload.nextCursor || null);
     } catch {
+      if (request !== historyRequest.current) return;
       setHistoryData([]);
+      setHistoryCursor(null);
     } finally {
-      setLoading(false);
+      if (request === historyRequest.current) setLoading(false);
     }
   };
 
+  const loadMoreHistory = useCallback(async () => {
+    if (!historyCursor || loadingMore) return;
+    const request = historyRequest.current;
+    setLoadingMore(true);
+    try {
+      const params = historyParams();
+      params.append("cursor", historyCursor);
+      const response = await fetch(`/api/incidents/history?${params}`);
+      const payload = await response.json();
+      if (request !== historyRequest.current) return;
+      setHistoryData((prev) => [...prev, ...(payload.incidents || [])]);
+      setHistoryCursor(payload.nextCursor || null);
+    } catch {
+      if (request === historyRequest.current) setHistoryCursor(null);
+    } finally {
+      if (request === historyRequest.current) setLoadingMore(false);
+    }
+  }, [historyCursor, loadingMore, historyParams]);
+
+  // Search runs on the server in history mode, so wait for typing to settle
   useEffect(() => {
-    if (viewMode === "live") {
-      loadIncidents();
-      const timer = setInterval(loadIncidents, POLL_INTERVAL_MS);
-      return () => clearInterval(timer);
-    } else {
+    const timer = setTimeout(() => setSearchTerm(query.trim()), SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [query]);
+
+  useEffect(() => {
+    if (viewMode === "history") {
       loadHistory();
     }
-  }, [viewMode, historyDays, severityFilter]);
+  }, [viewMode, historyDays, severityFilter, searchTerm]);
+
+  // Fetch the next page when the end of the list scrolls into view
+  const historyEndRef = useRef(null);
+  useEffect(() => {
+    const target = historyEndRef.current;
+    if (viewMode !== "history" || !historyCursor || !target || typeof IntersectionObserver === "undefined") {
+      return undefined;
+    }
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries.some((entry) => entry.isIntersecting)) loadMoreHistory();
+    }, { rootMargin: "400px" });
+    observer.observe(target);
+    return () => observer.disconnect();
+  }, [viewMode, historyCursor, loadMoreHistory]);
+
+  useEffect(() => {
+    if (viewMode !== "live") return undefined;
+
+    loadSources();
+    const sourcesTimer = setInterval(loadSources, POLL_INTERVAL_MS);
+
+    // Polling only runs while the event stream is unavailable
+    let pollTimer = null;
+    const startPolling = () => {
+      setConnection("polling");
+      if (pollTimer) return;
+      loadIncidents();
+      pollTimer = setInterval(loadIncidents, POLL_INTERVAL_MS);
+    };
+    const stopPolling = () => {
+      clearInterval(pollTimer);
+      pollTimer = null;
+    };
+
+    if (typeof EventSource === "undefined") {
+      startPolling();
+      return () => {
+        stopPolling();
+        clearInterval(sourcesTimer);
+      };
+    }
+
+    // EventSource reconnects on its own and sends Last-Event-ID, so the server
+    // replays whatever was missed while we were polling
+    const stream = new EventSource("/api/incidents/stream");
+    stream.onopen = () => {
+      stopPolling();
+      setConnection("live");
+    };
+    stream.onerror = startPolling;
+    stream.addEventListener("snapshot", (event) => {
+      setData(JSON.parse(event.data));
+      setLoading(false);
+    });
+    INCIDENT_EVENTS.forEach((type) => {
+      stream.addEventListener(type, (event) => {
+        const payload = JSON.parse(event.data);
+        setData((prev) => applyIncidentEvent(prev, type, payload));
+      });
+    });
+    stream.addEventListener("cache.refreshed", (event) => {
+      const { updatedAt, errors } = JSON.parse(event.data);
+      setData((prev) => ({ ...prev, updatedAt, errors }));
+    });
+
+    return () => {
+      stream.close();
+      stopPolling();
+      clearInterval(sourcesTimer);
+    };
+  }, [viewMode]);
+
+  // The form keeps lists as comma-separated text
+  const preferencesPayload = () => ({
+    providers: preferences.providers,
+    minSeverity: preferences.minSeverity || null,
+    keywords: preferences.keywords,
+    services: preferences.services,
+    statusChanges: preferences.statusChanges,
+    delivery: preferences.delivery
+  });
+
+  // Tokens from email links shouldn't linger in the address bar or history
+  useEffect(() => {
+    const url = new URL(window.location.href);
+    if (!SUBSCRIPTION_LINK_PARAMS.some((param) => url.searchParams.has(param))) return;
+    SUBSCRIPTION_LINK_PARAMS.forEach((param) => url.searchParams.delete(param));
+    window.history.replaceState(null, "", `${url.pathname}${url.search}${url.hash}`);
+  }, []);
+
+  useEffect(() => {
+    if (!subscriptionLink.manageToken) return;
+    fetch(`/api/subscriptions/email/preferences?${new URLSearchParams({ token: subscriptionLink.manageToken })}`)
+      .then(async (response) => {
+        const payload = await response.json();
+        if (!response.ok) throw new Error(payload?.message || "Request failed");
+        setManagedEmail(payload.email);
+        setPreferences(toPreferencesForm(payload.preferences));
+      })
+      .catch((error) => {
+        setEmailStatus({ state: "error", message: error?.message || "Failed to load preferences" });
+      });
+  }, [subscriptionLink]);
 
-  const submitEmail = async (method) => {
+  const submitEmail = async () => {
     setEmailStatus({ state: "loading", message: "" });
     try {
       const response = await fetch("/api/subscriptions/email", {
-        method,
+        method: "POST",
         headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ email })
+        body: JSON.stringify(showPreferences ? { email, preferences: preferencesPayload() } : { email })
       });
 
       const payload = await response.json();
@@ -87,29 +363,74 @@ function App() {
         throw new Error(payload?.message || "Request failed");
       }
 
-      setEmailStatus({
-        state: "success",
-        message: method === "POST" ? "Subscribed!" : "Unsubscribed."
+      setEmailStatus({ state: "success", message: payload.message });
+    } catch (error) {
+      setEmailStatus({ state: "error", message: error?.message || "Failed" });
+    }
+  };
+
+  const confirmUnsubscribe = async () => {
+    setEmailStatus({ state: "loading", message: "" });
+    try {
+      const response = await fetch("/api/subscriptions/email/unsubscribe", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ token: subscriptionLink.unsubscribeToken })
       });
+
+      const payload = await response.json();
+      if (!response.ok) {
+        throw new Error(payload?.message || "Request failed");
+      }
+
+      setUnsubscribed(true);
+      setEmailStatus({ state: "success", message: `${payload.email} will no longer receive alerts.` });
     } catch (error) {
       setEmailStatus({ state: "error", message: error?.message || "Failed" });
     }
   };
 
-  const filteredProviders = useMemo(() => {
-    if (viewMode === "history") {
-      let filtered = historyData;
-      
-      const needle = query.toLowerCase();
-      if (needle) {
-        filtered = filtered.filter((incident) => {
-          const haystack = `${incident.title || ""} ${incident.summary || ""}`.toLowerCase();
-          return haystack.includes(needle);
-        });
+  const savePreferences = async () => {
+    setEmailStatus({ state: "loading", message: "" });
+    try {
+      const response = await fetch("/api/subscriptions/email/preferences", {
+        method: "PUT",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ token: subscriptionLink.manageToken, preferences: preferencesPayload() })
+      });
+
+      const payload = await response.json();
+      if (!response.ok) {
+        throw new Error(payload?.message || "Request failed");
       }
 
-      // Group by provider
-      const grouped = filtered.reduce((acc, incident) => {
+      setEmailStatus({ state: "success", message: "Preferences saved." });
+    } catch (error) {
+      setEmailStatus({ state: "error", message: error?.message || "Failed" });
+    }
+  };
+
+  const toggleProviderPreference = (provider) => {
+    setPreferences((prev) => ({
+      ...prev,
+      providers: prev.providers.includes(provider)
+        ? prev.providers.filter((entry) => entry !== provider)
+        : [...prev.providers, provider]
+    }));
+  };
+
+  const knownProviders = useMemo(
+    () =>
+      Array.from(
+        new Set([...sources.map((source) => source.provider), ...data.providers.map((entry) => entry.provider)])
+      ).sort(),
+    [sources, data.providers]
+  );
+
+  const filteredProviders = useMemo(() => {
+    if (viewMode === "history") {
+      // Already filtered and ordered by the server (by rank when searching)
+      const grouped = historyData.reduce((acc, incident) => {
         if (!acc[incident.provider]) {
           acc[incident.provider] = [];
         }
@@ -119,11 +440,7 @@ function App() {
 
       return Object.entries(grouped).map(([provider, incidents]) => ({
         provider,
-        incidents: incidents.sort((a, b) => {
-          const aTime = a.published_at ? Date.parse(a.published_at) : 0;
-          const bTime = b.published_at ? Date.parse(b.published_at) : 0;
-          return bTime - aTime;
-        })
+        incidents
       }));
     }
 
@@ -190,6 +507,12 @@ function App() {
             >
               History
             </button>
+            <button 
+              className={`button ${viewMode === "insights" ? "" : "secondary"}`}
+              onClick={() => setViewMode("insights")}
+            >
+              Insights
+            </button>
             <button 
               className="button icon" 
               onClick={() => setTheme(theme === "dark" ? "light" : "dark")}
@@ -252,10 +575,40 @@ function App() {
               <option value={90}>Last 90 days</option>
             </select>
           )}
+          {viewMode === "history" ? (
+            <>
+              <select value={exportFormat} onChange={(event) => setExportFormat(event.target.value)}>
+                <option value="csv">CSV</option>
+                <option value="jsonl">JSON Lines</option>
+                <option value="ics">iCalendar</option>
+              </select>
+              <a className="button secondary" href={exportUrl()} download>
+                Export
+              </a>
+            </>
+          ) : null}
         </div>
         <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
-          <span className="pill">Polling every 1 minute</span>
-          <button className="button icon" onClick={viewMode === "live" ? loadIncidents : loadHistory} title="Refresh">
+          {viewMode === "live" ? (
+            <span className="pill">
+              {connection === "live"
+                ? "Live updates"
+                : connection === "polling"
+                  ? "Polling every 1 minute"
+                  : "Connecting…"}
+            </span>
+          ) : null}
+          <button
+            className="button icon"
+            onClick={
+              viewMode === "live"
+                ? loadIncidents
+                : viewMode === "history"
+                  ? loadHistory
+                  : () => setInsightsRefresh((count) => count + 1)
+            }
+            title="Refresh"
+          >
             <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
               <path d="M21.5 2v6h-6M2.5 22v-6h6M2 11.5a10 10 0 0 1 18.8-4.3M22 12.5a10 10 0 0 1-18.8 4.2"/>
             </svg>
@@ -266,33 +619,45 @@ function App() {
       <section className="email-subscribe">
         <div>
           <h2>Email alerts</h2>
-          <p>Subscribe to receive incident updates by email.</p>
+          <p>
+            {unsubscribePending
+              ? "Stop receiving incident alerts at the address this link was sent to?"
+              : "Subscribe to receive incident updates by email. We'll send a link to confirm the address first."}
+          </p>
         </div>
         <form
           onSubmit={(event) => {
             event.preventDefault();
-            submitEmail("POST");
+            if (unsubscribePending) {
+              confirmUnsubscribe();
+            } else {
+              submitEmail();
+            }
           }}
         >
-          <input
-            type="email"
-            placeholder="you@example.com"
-            value={email}
-            onChange={(event) => setEmail(event.target.value)}
-            required
-          />
+          {unsubscribePending ? null : (
+            <input
+              type="email"
+              placeholder="you@example.com"
+              value={email}
+              onChange={(event) => setEmail(event.target.value)}
+              required
+            />
+          )}
           <div className="email-actions">
             <button className="button" type="submit" disabled={emailStatus.state === "loading"}>
-              Subscribe
-            </button>
-            <button
-              className="button secondary"
-              type="button"
-              onClick={() => submitEmail("DELETE")}
-              disabled={emailStatus.state === "loading"}
-            >
-              Unsubscribe
+              {unsubscribePending ? "Unsubscribe" : "Subscribe"}
             </button>
+            {unsubscribePending ? null : (
+              <button
+                className="button secondary"
+                type="button"
+                onClick={() => setShowPreferences((open) => !open)}
+                aria-expanded={showPreferences}
+              >
+                Preferences
+              </button>
+            )}
           </div>
           {emailStatus.state !== "idle" ? (
             <span className={`email-status ${emailStatus.state}`}>
@@ -300,6 +665,92 @@ function App() {
             </span>
           ) : null}
         </form>
+        {showPreferences ? (
+          <div className="email-preferences">
+            <fieldset>
+              <legend>Providers</legend>
+              {knownProviders.map((provider) => (
+                <label key={provider} className="checkbox">
+                  <input
+                    type="checkbox"
+                    checked={preferences.providers.includes(provider)}
+                    onChange={() => toggleProviderPreference(provider)}
+                  />
+                  {provider}
+                </label>
+              ))}
+              <span className="hint">None checked means all providers.</span>
+            </fieldset>
+            <label>
+              Delivery
+              <select
+                value={preferences.delivery}
+                onChange={(event) => setPreferences((prev) => ({ ...prev, delivery: event.target.value }))}
+              >
+                <option value="instant">As it happens</option>
+                <option value="daily">Daily digest</option>
+                <option value="weekly">Weekly digest (Mondays)</option>
+              </select>
+            </label>
+            <label>
+              Minimum severity
+              <select
+                value={preferences.minSeverity}
+                onChange={(event) => setPreferences((prev) => ({ ...prev, minSeverity: event.target.value }))}
+              >
+                <option value="">Any</option>
+                <option value="critical">Critical only</option>
+                <option value="high">High and above</option>
+                <option value="medium">Medium and above</option>
+                <option value="low">Low and above</option>
+              </select>
+            </label>
+            <label>
+              Keywords
+              <input
+                type="text"
+                placeholder="e.g. outage, latency"
+                value={preferences.keywords}
+                onChange={(event) => setPreferences((prev) => ({ ...prev, keywords: event.target.value }))}
+              />
+            </label>
+            <label>
+              Services
+              <input
+                type="text"
+                placeholder="e.g. S3, Compute Engine"
+                value={preferences.services}
+                onChange={(event) => setPreferences((prev) => ({ ...prev, services: event.target.value }))}
+              />
+            </label>
+            <label className="checkbox">
+              <input
+                type="checkbox"
+                checked={preferences.statusChanges}
+                disabled={preferences.delivery !== "instant"}
+                onChange={(event) => setPreferences((prev) => ({ ...prev, statusChanges: event.target.checked }))}
+              />
+              Also email me when an incident changes status
+            </label>
+            {managedEmail ? (
+              <div className="email-actions">
+                <span className="hint">Alerts for {managedEmail}</span>
+                <button
+                  className="button"
+                  type="button"
+                  onClick={savePreferences}
+                  disabled={emailStatus.state === "loading"}
+                >
+                  Save preferences
+                </button>
+              </div>
+            ) : (
+              <span className="hint">
+                Sent along when you subscribe. To change them later, use the link at the bottom of any alert email.
+              </span>
+            )}
+          </div>
+        ) : null}
       </section>
 
       {loading ? <div className="loading">Loading incidents...</div> : null}
@@ -318,46 +769,122 @@ function App() {
         </section>
       ) : null}
 
-      <main className="providers">
-        {filteredProviders.length === 0 && !loading ? (
-          <div className="empty">No incidents match your search.</div>
-        ) : null}
+      {viewMode === "live" && sources.length ? (
+        <section className="sources">
+          <h2>Sources</h2>
+          <ul>
+            {sources.map((source) => (
+              <li key={source.id} className={`source-row source-${source.enabled === false ? "disabled" : source.health}`}>
+                <span className="source-dot" />
+                <div className="source-name">
+                  <strong>{source.source}</strong>
+                  <span>{source.provider}</span>
+                </div>
+                <span className="source-state">
+                  {source.enabled === false ? "Disabled" : SOURCE_HEALTH_LABELS[source.health] || source.health}
+                </span>
+                <span title={formatDate(source.lastSuccessAt)}>
+                  Last read {formatRelative(source.lastSuccessAt)}
+                </span>
+                <span>{source.latencyMs != null ? `${source.latencyMs} ms` : "–"}</span>
+                <span>{source.itemCount} items</span>
+                {source.consecutiveFailures > 0 ? (
+                  <span className="source-errors" title={source.recentErrors.map((error) => `${formatDate(error.at)}: ${error.message}`).join("\n")}>
+                    {source.consecutiveFailures} failed in a row: {source.lastError}
+                  </span>
+                ) : null}
+              </li>
+            ))}
+          </ul>
+        </section>
+      ) : null}
 
-        {filteredProviders.map((provider) => (
-          <section className="provider" key={provider.provider}>
-            <h2>{provider.provider}</h2>
-            <div className="cards">
-              {provider.incidents.map((incident) => (
-                <article className="card" key={incident.id}>
-                  <div className="card-header">
-                    <div className="badges">
-                      <span className={`status status-${incident.status}`}>
-                        {incident.status}
-                      </span>
-                      <span className={`severity severity-${incident.severity}`}>
-                        {incident.severity}
-                      </span>
+      {viewMode === "insights" ? (
+        <Insights days={historyDays} severity={severityFilter} search={searchTerm} refreshToken={insightsRefresh} />
+      ) : (
+        <main className="providers">
+          {filteredProviders.length === 0 && !loading ? (
+            <div className="empty">No incidents match your search.</div>
+          ) : null}
+
+          {filteredProviders.map((provider) => (
+            <section className="provider" key={provider.provider}>
+              <h2>{provider.provider}</h2>
+              <div className="cards">
+                {provider.incidents.map((incident) => (
+                  <article className="card" key={incident.id}>
+                    <div className="card-header">
+                      <div className="badges">
+                        <span className={`status status-${incident.status}`}>
+                          {incident.status}
+                        </span>
+                        <span className={`severity severity-${incident.severity}`}>
+                          {incident.severity}
+                        </span>
+                      </div>
+                      <span className="source">{incident.source}</span>
                     </div>
-                    <span className="source">{incident.source}</span>
-                  </div>
-                  <h3>{incident.title}</h3>
-                  <p className="summary">{incident.summary || "No summary."}</p>
-                  <div className="card-footer">
-                    <span className="time">
-                      {formatDate(viewMode === "history" ? incident.published_at : incident.publishedAt)}
-                    </span>
-                    {incident.link ? (
-                      <a href={incident.link} target="_blank" rel="noreferrer">
-                        View details
-                      </a>
+                    <h3>{incident.title}</h3>
+                    {incident.services?.length || incident.regions?.length ? (
+                      <div className="tags">
+                        {(incident.services || []).map((service) => (
+                          <span className="tag" key={`service-${service}`}>{service}</span>
+                        ))}
+                        {(incident.regions || []).map((region) => (
+                          <span className="tag region" key={`region-${region}`}>{region}</span>
+                        ))}
+                      </div>
                     ) : null}
-                  </div>
-                </article>
-              ))}
+                    <p className="summary">{incident.summary || "No summary."}</p>
+                    {incident.children?.length > 1 ? (
+                      <details className="related">
+                        <summary>
+                          {incident.children.length} related updates
+                          {incident.sources?.length > 1 ? ` from ${incident.sources.join(", ")}` : ""}
+                        </summary>
+                        <ul>
+                          {incident.children.map((child) => (
+                            <li key={child.id}>
+                              <span className={`status status-${child.status}`}>{child.status}</span>
+                              <span className="related-title">
+                                {child.link ? (
+                                  <a href={child.link} target="_blank" rel="noreferrer">{child.title}</a>
+                                ) : (
+                                  child.title
+                                )}
+                              </span>
+                              <span className="time">{formatDate(child.publishedAt)}</span>
+                            </li>
+                          ))}
+                        </ul>
+                      </details>
+                    ) : null}
+                    <div className="card-footer">
+                      <span className="time">
+                        {formatDate(viewMode === "history" ? incident.published_at : incident.publishedAt)}
+                        {incident.updateCount > 1 ? ` · ${incident.updateCount} updates` : ""}
+                      </span>
+                      {incident.link ? (
+                        <a href={incident.link} target="_blank" rel="noreferrer">
+                          View details
+                        </a>
+                      ) : null}
+                    </div>
+                  </article>
+                ))}
+              </div>
+            </section>
+          ))}
+
+          {viewMode === "history" && historyCursor ? (
+            <div className="load-more" ref={historyEndRef}>
+              <button className="button secondary" onClick={loadMoreHistory} disabled={loadingMore}>
+                {loadingMore ? "Loading…" : "Load more"}
+              </button>
             </div>
-          </section>
-        ))}
-      </main>
+          ) : null}
+        </main>
+      )}
     </div>
   );
 }
@@ -0,0 +1,99 @@
+import { useEffect, useState } from "react";
+
+const SEVERITY_LABELS = { critical: "Critical", high: "High", medium: "Medium", low: "Low" };
+
+function formatDay(date) {
+  return new Date(`${date}T00:00:00`).toLocaleDateString(undefined, {
+    weekday: "short",
+    month: "short",
+    day: "numeric"
+  });
+}
+
+function describeDay(day) {
+  if (day.incidents.length === 0) return `${formatDay(day.date)}\nNo incidents`;
+  return [
+    formatDay(day.date),
+    ...day.incidents.map((incident) => `${SEVERITY_LABELS[incident.severity] || incident.severity}: ${incident.title}`)
+  ].join("\n");
+}
+
+// Status-page style grid: one row per provider (or service), one cell per day
+export default function Availability({ days, severity, search, refreshToken }) {
+  const [groupBy, setGroupBy] = useState("provider");
+  const [grid, setGrid] = useState(null);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    let cancelled = false;
+    const params = new URLSearchParams({ days, groupBy });
+    if (severity !== "all") params.append("severity", severity);
+    if (search) params.append("q", search);
+
+    fetch(`/api/stats/availability?${params}`)
+      .then(async (response) => {
+        const payload = await response.json();
+        if (!response.ok) throw new Error(payload?.message || payload?.error || "Failed to load availability");
+        return payload;
+      })
+      .then((payload) => {
+        if (cancelled) return;
+        setGrid(payload);
+        setError("");
+      })
+      .catch((loadError) => {
+        if (cancelled) return;
+        setGrid(null);
+        setError(loadError?.message || "Failed to load availability");
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [days, severity, search, groupBy, refreshToken]);
+
+  return (
+    <section className="insight-panel insight-wide">
+      <div className="insight-header">
+        <h2>Availability</h2>
+        <select value={groupBy} onChange={(event) => setGroupBy(event.target.value)}>
+          <option value="provider">By provider</option>
+          <option value="service">By service</option>
+        </select>
+      </div>
+      {error ? <div className="empty">{error}</div> : null}
+      {grid && grid.rows.length === 0 ? <div className="empty">No incidents in this range.</div> : null}
+      {grid && grid.rows.length > 0 ? (
+        <div className="availability">
+          {grid.rows.map((row) => {
+            const affected = row.days.filter((day) => day.severity).length;
+            return (
+              <div className="availability-row" key={`${row.provider}-${row.service || ""}`}>
+                <div className="availability-label">
+                  <strong>{row.service || row.provider}</strong>
+                  <span>
+                    {row.service ? `${row.provider} · ` : ""}
+                    {affected === 0 ? "No incidents" : `${affected} of ${row.days.length} days affected`}
+                  </span>
+                </div>
+                <div className="availability-days">
+                  {row.days.map((day) => (
+                    <span
+                      key={day.date}
+                      className={`availability-day day-${day.severity || "none"}`}
+                      title={describeDay(day)}
+                    />
+                  ))}
+                </div>
+              </div>
+            );
+          })}
+          <div className="availability-scale">
+            <span>{formatDay(grid.dates[0])}</span>
+            <span>Today</span>
+          </div>
+        </div>
+      ) : null}
+    </section>
+  );
+}
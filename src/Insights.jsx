@@ -0,0 +1,277 @@
+import { useEffect, useState } from "react";
+import Availability from "./Availability.jsx";
+
+const PROVIDER_COLORS = { Azure: "#3b82f6", AWS: "#f59e0b", GCP: "#10b981" };
+const FALLBACK_COLORS = ["#a855f7", "#ec4899", "#14b8a6", "#f97316", "#64748b"];
+const SEVERITY_COLORS = { critical: "#ef4444", high: "#f59e0b", medium: "#3b82f6", low: "#94a3b8" };
+const SEVERITIES = ["critical", "high", "medium", "low"];
+
+const CHART_WIDTH = 640;
+const CHART_HEIGHT = 220;
+const CHART_PADDING = { top: 12, right: 12, bottom: 28, left: 32 };
+
+function colorFor(key, index) {
+  return PROVIDER_COLORS[key] || FALLBACK_COLORS[index % FALLBACK_COLORS.length];
+}
+
+function formatMinutes(minutes) {
+  if (minutes == null) return "–";
+  if (minutes < 60) return `${Math.round(minutes)}m`;
+  if (minutes < 48 * 60) return `${(minutes / 60).toFixed(1)}h`;
+  return `${(minutes / 1440).toFixed(1)}d`;
+}
+
+function formatPeriod(period, interval) {
+  const date = new Date(`${period}T00:00:00`);
+  return interval === "month"
+    ? date.toLocaleDateString(undefined, { month: "short", year: "2-digit" })
+    : date.toLocaleDateString(undefined, { month: "short", day: "numeric" });
+}
+
+// Round the axis up to something that divides into four ticks
+function niceMax(value) {
+  if (value <= 4) return 4;
+  const step = Math.pow(10, Math.floor(Math.log10(value)));
+  return Math.ceil(value / step) * step;
+}
+
+function BarChart({ columns, keys, colors, label }) {
+  const max = niceMax(Math.max(0, ...columns.map((column) => column.total)));
+  const plotWidth = CHART_WIDTH - CHART_PADDING.left - CHART_PADDING.right;
+  const plotHeight = CHART_HEIGHT - CHART_PADDING.top - CHART_PADDING.bottom;
+  const slot = plotWidth / Math.max(columns.length, 1);
+  const barWidth = Math.min(48, slot * 0.7);
+  const y = (value) => CHART_PADDING.top + plotHeight - (value / max) * plotHeight;
+  const ticks = [0, 0.25, 0.5, 0.75, 1].map((fraction) => Math.round(max * fraction));
+  // Thin out labels so they don't overlap on long ranges
+  const labelEvery = Math.ceil(columns.length / 12);
+
+  return (
+    <svg className="chart" viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} role="img" aria-label={label}>
+      {ticks.map((tick) => (
+        <g key={tick}>
+          <line className="chart-grid" x1={CHART_PADDING.left} x2={CHART_WIDTH - CHART_PADDING.right} y1={y(tick)} y2={y(tick)} />
+          <text className="chart-axis" x={CHART_PADDING.left - 6} y={y(tick) + 4} textAnchor="end">
+            {tick}
+          </text>
+        </g>
+      ))}
+      {columns.map((column, index) => {
+        const x = CHART_PADDING.left + slot * index + (slot - barWidth) / 2;
+        let offset = 0;
+        return (
+          <g key={column.label}>
+            {keys.map((key) => {
+              const value = column.values[key] || 0;
+              if (!value) return null;
+              const top = y(offset + value);
+              const height = y(offset) - top;
+              offset += value;
+              return (
+                <rect key={key} x={x} y={top} width={barWidth} height={height} fill={colors[key]}>
+                  <title>{`${column.label} · ${key}: ${value}`}</title>
+                </rect>
+              );
+            })}
+            {index % labelEvery === 0 ? (
+              <text className="chart-axis" x={x + barWidth / 2} y={CHART_HEIGHT - 8} textAnchor="middle">
+                {column.label}
+              </text>
+            ) : null}
+          </g>
+        );
+      })}
+    </svg>
+  );
+}
+
+function Legend({ keys, colors }) {
+  return (
+    <ul className="chart-legend">
+      {keys.map((key) => (
+        <li key={key}>
+          <span className="chart-swatch" style={{ background: colors[key] }} />
+          {key}
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+export default function Insights({ days, severity, search, refreshToken }) {
+  const [interval, setChartInterval] = useState("week");
+  const [stats, setStats] = useState(null);
+  const [state, setState] = useState({ status: "loading", message: "" });
+
+  useEffect(() => {
+    let cancelled = false;
+    const load = async (path, extra = {}) => {
+      const params = new URLSearchParams({ days, ...extra });
+      if (severity !== "all") params.append("severity", severity);
+      if (search) params.append("q", search);
+
+      const response = await fetch(`/api/stats/${path}?${params}`);
+      const payload = await response.json();
+      if (response.status === 503) throw Object.assign(new Error(payload?.error), { unavailable: true });
+      if (!response.ok) throw new Error(payload?.message || payload?.error || "Failed to load insights");
+      return payload;
+    };
+
+    Promise.all([
+      load("trends", { groupBy: "provider", interval }),
+      load("trends", { groupBy: "severity", interval }),
+      load("resolution"),
+      load("providers")
+    ])
+      .then(([byProvider, bySeverity, resolution, providers]) => {
+        if (cancelled) return;
+        setStats({ byProvider, bySeverity, resolution, providers });
+        setState({ status: "ready", message: "" });
+      })
+      .catch((error) => {
+        if (cancelled) return;
+        setStats(null);
+        setState({
+          status: error.unavailable ? "unavailable" : "error",
+          message: error?.message || "Failed to load insights"
+        });
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [days, severity, search, interval, refreshToken]);
+
+  if (state.status === "unavailable") {
+    return (
+      <div className="empty">
+        Insights are built from stored incident history. Configure <code>DATABASE_URL</code> to start collecting it.
+      </div>
+    );
+  }
+
+  if (state.status === "error") {
+    return <div className="empty">{state.message}</div>;
+  }
+
+  if (!stats) {
+    return <div className="empty">Loading insights…</div>;
+  }
+
+  const { byProvider, bySeverity, resolution, providers } = stats;
+  const providerColors = Object.fromEntries(byProvider.keys.map((key, index) => [key, colorFor(key, index)]));
+  const severityTotals = SEVERITIES.map((key) => ({
+    key,
+    total: bySeverity.periods.reduce((sum, period) => sum + (period.counts[key] || 0), 0)
+  }));
+  const severityMax = Math.max(1, ...severityTotals.map((entry) => entry.total));
+  const resolvedColor = { resolved: "#14b8a6" };
+
+  return (
+    <main className="insights">
+      <section className="insight-panel insight-wide">
+        <div className="insight-header">
+          <h2>Incidents over time</h2>
+          <select value={interval} onChange={(event) => setChartInterval(event.target.value)}>
+            <option value="week">Per week</option>
+            <option value="month">Per month</option>
+          </select>
+        </div>
+        {byProvider.keys.length === 0 ? (
+          <div className="empty">No incidents in this range.</div>
+        ) : (
+          <>
+            <BarChart
+              label="Incidents over time by provider"
+              keys={byProvider.keys}
+              colors={providerColors}
+              columns={byProvider.periods.map((period) => ({
+                label: formatPeriod(period.period, interval),
+                values: period.counts,
+                total: period.total
+              }))}
+            />
+            <Legend keys={byProvider.keys} colors={providerColors} />
+          </>
+        )}
+      </section>
+
+      <Availability days={days} severity={severity} search={search} refreshToken={refreshToken} />
+
+      <section className="insight-panel">
+        <h2>Severity</h2>
+        <ul className="severity-bars">
+          {severityTotals.map((entry) => (
+            <li key={entry.key}>
+              <span className={`severity severity-${entry.key}`}>{entry.key}</span>
+              <span className="severity-bar">
+                <span style={{ width: `${(entry.total / severityMax) * 100}%`, background: SEVERITY_COLORS[entry.key] }} />
+              </span>
+              <span className="severity-count">{entry.total}</span>
+            </li>
+          ))}
+        </ul>
+      </section>
+
+      <section className="insight-panel">
+        <div className="insight-header">
+          <h2>Time to resolve</h2>
+          <span className="insight-note">
+            mean {formatMinutes(resolution.overall.meanMinutes)} · p90 {formatMinutes(resolution.overall.p90Minutes)}
+          </span>
+        </div>
+        {resolution.overall.resolved === 0 ? (
+          <div className="empty">No resolved incidents with a known start in this range.</div>
+        ) : (
+          <BarChart
+            label="Time to resolve distribution"
+            keys={["resolved"]}
+            colors={resolvedColor}
+            columns={resolution.distribution.map((bucket) => ({
+              label: bucket.label,
+              values: { resolved: bucket.count },
+              total: bucket.count
+            }))}
+          />
+        )}
+      </section>
+
+      <section className="insight-panel insight-wide">
+        <h2>Providers</h2>
+        {providers.providers.length === 0 ? (
+          <div className="empty">No incidents in this range.</div>
+        ) : (
+          <table className="insight-table">
+            <thead>
+              <tr>
+                <th>Provider</th>
+                <th>Incidents</th>
+                <th>Critical</th>
+                <th>High</th>
+                <th>Open</th>
+                <th>Mean to resolve</th>
+                <th>p90 to resolve</th>
+              </tr>
+            </thead>
+            <tbody>
+              {providers.providers.map((row) => (
+                <tr key={row.provider}>
+                  <td>
+                    <span className="chart-swatch" style={{ background: providerColors[row.provider] || colorFor(row.provider, 0) }} />
+                    {row.provider}
+                  </td>
+                  <td>{row.incidents}</td>
+                  <td>{row.critical}</td>
+                  <td>{row.high}</td>
+                  <td>{row.open}</td>
+                  <td>{formatMinutes(row.meanMinutes)}</td>
+                  <td>{formatMinutes(row.p90Minutes)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </section>
+    </main>
+  );
+}
@@ -9,6 +9,10 @@ export default defineConfig({
       "/api": {
         target: "http://localhost:5174",
         changeOrigin: true
+      },
+      "/feeds": {
+        target: "http://localhost:5174",
+        changeOrigin: true
       }
     }
   }